@@ -19,6 +19,7 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
   ListToolsRequestSchema,
   CallToolRequestSchema,
@@ -28,13 +29,22 @@ import {
 import { z } from 'zod';
 import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 import dotenv from 'dotenv';
 import contentfulManagement from 'contentful-management';
 import { createClient as createDeliveryClient } from 'contentful';
 const { createClient } = contentfulManagement;
 import { glob } from 'glob';
+import { minimatch } from 'minimatch';
 import yaml from 'yaml';
+import axios from 'axios';
+import Ajv from 'ajv';
+import Ajv2019 from 'ajv/dist/2019.js';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { parse as parseSource } from '@babel/parser';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,29 +56,1065 @@ dotenv.config({ path: path.join(__dirname, '../../.env') });
 // Site root directory
 const SITE_ROOT = path.join(__dirname, '../..');
 
+// Whether a path resolves to SITE_ROOT or somewhere below it
+function isInsideSiteRoot(filePath) {
+  const relativePath = path.relative(SITE_ROOT, path.resolve(SITE_ROOT, filePath));
+  return relativePath !== '..' && !relativePath.startsWith(`..${path.sep}`) && !path.isAbsolute(relativePath);
+}
+
+// Public site domain and the directory the site serves static files from
+const SITE_DOMAIN = process.env.SITE_DOMAIN;
+const PUBLIC_DIR = path.join(SITE_ROOT, 'public');
+
+// Files the sitemap and structured data generators wrote, so a later run only removes its own
+const GENERATED_FILES_FILE = process.env.GENERATED_FILES_FILE || path.join(__dirname, '.cache', 'generated-files.json');
+
+// Sitemaps hold at most this many URLs; larger sites get a sitemap index
+const SITEMAP_MAX_URLS = 50000;
+
+// SEO settings file the SEOMetaTags component reads, and the component itself
+const SEO_CONFIG_FILE = path.join(SITE_ROOT, 'src/config/seo.json');
+const SEO_COMPONENT_FILE = path.join(SITE_ROOT, 'src/components/SEO/SEOMetaTags.tsx');
+
+// Backup directory, retention policy and the time limit for each asset download
+const BACKUP_DIR = path.join(SITE_ROOT, 'backups');
+const BACKUP_FORMAT = 'contentful-management-v1';
+const BACKUP_KEEP_DAILY = parseInt(process.env.BACKUP_KEEP_DAILY || '7', 10);
+const BACKUP_KEEP_WEEKLY = parseInt(process.env.BACKUP_KEEP_WEEKLY || '4', 10);
+const BACKUP_ASSET_TIMEOUT = parseInt(process.env.BACKUP_ASSET_TIMEOUT || '60000', 10);
+
+// Site configuration, the JSON Schema the site ships for it, and the earlier versions revert_site_config restores
+const SITE_CONFIG_FILE = path.join(SITE_ROOT, 'site.config.json');
+const SITE_CONFIG_SCHEMA_FILE = process.env.SITE_CONFIG_SCHEMA_FILE || path.join(SITE_ROOT, 'site.config.schema.json');
+const SITE_CONFIG_HISTORY_DIR = path.join(BACKUP_DIR, 'site-config');
+const SITE_CONFIG_HISTORY_LIMIT = parseInt(process.env.SITE_CONFIG_HISTORY_LIMIT || '50', 10);
+
 // Contentful configuration
-const CONTENTFUL_SPACE_ID = process.env.VITE_CONTENTFUL_SPACE_ID;
+const CONTENTFUL_SPACE_ID = process.env.VITE_CONTENTFUL_SPACE_ID || process.env.CONTENTFUL_SPACE_ID;
 const CONTENTFUL_MANAGEMENT_TOKEN = process.env.CONTENTFUL_MANAGEMENT_TOKEN;
-const CONTENTFUL_DELIVERY_TOKEN = process.env.VITE_CONTENTFUL_DELIVERY_TOKEN;
+const CONTENTFUL_DELIVERY_TOKEN = process.env.VITE_CONTENTFUL_DELIVERY_TOKEN || process.env.CONTENTFUL_DELIVERY_TOKEN;
+const CONTENTFUL_ENVIRONMENT = process.env.CONTENTFUL_ENVIRONMENT || 'master';
+
+// What write tools do with an entry when no publish argument is given: draft, publish or schedule
+const CONTENTFUL_PUBLISH_MODE = process.env.CONTENTFUL_PUBLISH_MODE || 'draft';
+
+// Append-only JSONL log of the changes tool calls make, read by view_audit_log and undo_change
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(__dirname, 'audit-log.jsonl');
+
+// Named space/environment profiles, see contentful-profiles.example.json
+const CONTENTFUL_PROFILES_FILE = process.env.CONTENTFUL_PROFILES_FILE || path.join(__dirname, 'contentful-profiles.json');
+
+// Content audit rule settings, see content-audit.example.json
+const CONTENT_AUDIT_FILE = process.env.CONTENT_AUDIT_FILE || path.join(__dirname, 'content-audit.json');
+
+// Which tools clients may call and what they may write, see tool-policy.example.json;
+// READ_ONLY=true turns on read-only mode whatever the policy file says
+const TOOL_POLICY_FILE = process.env.TOOL_POLICY_FILE || path.join(__dirname, 'tool-policy.json');
+const READ_ONLY = process.env.READ_ONLY === 'true';
+
+// Backend of the default profile: contentful, or local for an offline store seeded from the site's mock data
+const CONTENT_BACKEND = process.env.CONTENT_BACKEND || 'contentful';
+const LOCAL_STORE_FILE = process.env.LOCAL_STORE_FILE || path.join(__dirname, 'local-store.json');
+const MOCK_DATA_DIR = path.join(SITE_ROOT, 'src/data/mock');
+
+// API hosts can be overridden (e.g. http://localhost:4000) to run against a local stand-in server
+const CONTENTFUL_MANAGEMENT_HOST = process.env.CONTENTFUL_MANAGEMENT_HOST;
+const CONTENTFUL_DELIVERY_HOST = process.env.CONTENTFUL_DELIVERY_HOST;
+
+// Management API request queue
+const CONTENTFUL_CONCURRENCY = parseInt(process.env.CONTENTFUL_CONCURRENCY || '4', 10);
+const CONTENTFUL_MAX_RETRIES = parseInt(process.env.CONTENTFUL_MAX_RETRIES || '5', 10);
+const CONTENTFUL_RETRY_DELAY = parseInt(process.env.CONTENTFUL_RETRY_DELAY || '1000', 10);
+
+// check_links settings; relative logo URLs resolve against the base URL (the site domain by default)
+const LINK_CHECK_CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY || '5', 10);
+const LINK_CHECK_TIMEOUT = parseInt(process.env.LINK_CHECK_TIMEOUT || '10000', 10);
+const LINK_CHECK_CACHE_HOURS = parseFloat(process.env.LINK_CHECK_CACHE_HOURS || '24');
+const LINK_CHECK_CACHE_FILE = process.env.LINK_CHECK_CACHE_FILE || path.join(__dirname, '.cache', 'link-check.json');
+const LINK_CHECK_BASE_URL = process.env.LINK_CHECK_BASE_URL || (SITE_DOMAIN && `https://${SITE_DOMAIN}`);
+const LINK_CHECK_MAX_REDIRECTS = 10;
+
+// sync_github_projects settings; the API URL can point at a local stand-in server
+const GITHUB_USERNAME = process.env.GITHUB_USERNAME;
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+const GITHUB_TIMEOUT = parseInt(process.env.GITHUB_TIMEOUT || '15000', 10);
+const GITHUB_CACHE_FILE = process.env.GITHUB_CACHE_FILE || path.join(__dirname, '.cache', 'github-repos.json');
+const GITHUB_PROJECTS_FILE = path.join(SITE_ROOT, 'src/data/github-projects.json');
+const GITHUB_PAGE_SIZE = 100;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Requests that can be replayed safely after a timeout or server error
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Changes made by the tool call in progress, collected for the audit log
+const auditContext = new AsyncLocalStorage();
+
+// What an audit log change touched, comparable across records
+function auditKey(change) {
+  return change.kind === 'file' ? `file:${change.path}` : `${change.kind}:${change.profile}:${change.environment}:${change.id}`;
+}
+
+/**
+ * Runs requests with limited concurrency, pausing the whole queue when
+ * Contentful reports a rate limit and retrying transient failures with backoff.
+ * A POST may have been applied before it failed, so it is only retried when it
+ * was rate limited.
+ */
+class RequestQueue {
+  constructor({ concurrency, maxRetries, retryDelay }) {
+    this.concurrency = concurrency;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.pending = [];
+    this.active = 0;
+    this.pausedUntil = 0;
+    this.stats = {
+      queued: 0,
+      completed: 0,
+      failed: 0,
+      retried: 0,
+      rateLimited: 0,
+      maxQueueLength: 0,
+      totalPausedMs: 0
+    };
+  }
+
+  run(task, { method = 'GET' } = {}) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, method: method.toUpperCase(), resolve, reject });
+      this.stats.queued++;
+      this.stats.maxQueueLength = Math.max(this.stats.maxQueueLength, this.pending.length);
+      this.drain();
+    });
+  }
+
+  drain() {
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) {
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = setTimeout(() => this.drain(), wait);
+      return;
+    }
+    
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const item = this.pending.shift();
+      this.active++;
+      this.execute(item).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  pause(ms) {
+    const until = Date.now() + ms;
+    if (until > this.pausedUntil) {
+      this.stats.totalPausedMs += until - Math.max(this.pausedUntil, Date.now());
+      this.pausedUntil = until;
+    }
+  }
+
+  async execute({ task, method, resolve, reject }) {
+    for (let attempt = 0; ; attempt++) {
+      const wait = this.pausedUntil - Date.now();
+      if (wait > 0) await delay(wait);
+      
+      try {
+        const response = await task();
+        // Out of requests for this second: hold the queue until the next one
+        if (response?.headers?.['x-contentful-ratelimit-second-remaining'] === '0') {
+          this.pause(1000);
+        }
+        this.stats.completed++;
+        return resolve(response);
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = status === 429 || (IDEMPOTENT_METHODS.has(method) && (!error.response || status >= 500));
+        
+        if (!retryable || attempt >= this.maxRetries) {
+          this.stats.failed++;
+          return reject(error);
+        }
+        
+        let backoff = this.retryDelay * 2 ** attempt + Math.floor(Math.random() * 250);
+        if (status === 429) {
+          this.stats.rateLimited++;
+          const headers = error.response.headers || {};
+          const reset = parseFloat(headers['x-contentful-ratelimit-reset'] ?? headers['retry-after']);
+          if (reset >= 0) backoff = reset * 1000 + Math.floor(Math.random() * 250);
+          this.pause(backoff);
+        }
+        
+        this.stats.retried++;
+        console.error(`Contentful request failed (${status || error.code || error.message}), retrying in ${backoff}ms`);
+        await delay(backoff);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      concurrency: this.concurrency,
+      maxRetries: this.maxRetries,
+      active: this.active,
+      waiting: this.pending.length,
+      pausedForMs: Math.max(0, this.pausedUntil - Date.now())
+    };
+  }
+}
+
+const requestQueue = new RequestQueue({
+  concurrency: CONTENTFUL_CONCURRENCY,
+  maxRetries: CONTENTFUL_MAX_RETRIES,
+  retryDelay: CONTENTFUL_RETRY_DELAY
+});
+
+/**
+ * Checks URLs with limited concurrency and a per-request timeout, following
+ * redirects by hand so the whole chain is known. Working links are cached on
+ * disk so repeated runs only re-check them once the cache entry expires.
+ */
+class LinkChecker {
+  constructor({ fetch, concurrency, timeout, cacheFile, cacheTtl }) {
+    this.fetch = fetch;
+    this.concurrency = concurrency;
+    this.timeout = timeout;
+    this.cacheFile = cacheFile;
+    this.cacheTtl = cacheTtl;
+    this.cache = null;
+  }
+
+  async loadCache() {
+    if (!this.cache) {
+      this.cache = await fs.readJson(this.cacheFile).catch(() => ({}));
+    }
+    return this.cache;
+  }
+
+  async saveCache() {
+    const now = Date.now();
+    Object.entries(this.cache || {}).forEach(([url, result]) => {
+      if (now - result.checkedAt >= this.cacheTtl) delete this.cache[url];
+    });
+    await fs.outputJson(this.cacheFile, this.cache || {}, { spaces: 2 });
+  }
+
+  async checkAll(urls, { refresh = false } = {}) {
+    const cache = await this.loadCache();
+    const results = new Map();
+    const queue = [...new Set(urls)];
+    
+    const worker = async () => {
+      while (queue.length > 0) {
+        const url = queue.shift();
+        const cached = cache[url];
+        if (!refresh && cached && Date.now() - cached.checkedAt < this.cacheTtl) {
+          results.set(url, { ...cached, cached: true });
+          continue;
+        }
+        
+        const result = await this.check(url);
+        // Failures are re-checked every run; only working links are worth caching
+        if (result.ok) cache[url] = result;
+        results.set(url, result);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+    await this.saveCache();
+    
+    return results;
+  }
+
+  async check(url) {
+    const redirects = [];
+    let current = url;
+    
+    for (let hop = 0; hop <= LINK_CHECK_MAX_REDIRECTS; hop++) {
+      let response;
+      try {
+        response = await this.request(current, 'HEAD');
+        // Some servers refuse HEAD requests; ask again with GET before calling the link dead
+        if (response.status === 405 || response.status === 403 || response.status === 501) {
+          response = await this.request(current, 'GET');
+        }
+      } catch (error) {
+        const reason = error.name === 'TimeoutError'
+          ? `timed out after ${this.timeout}ms`
+          : error.cause?.code || error.cause?.message || error.message;
+        return { url, ok: false, error: reason, redirects, checkedAt: Date.now() };
+      }
+      
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        const next = new URL(location, current).href;
+        redirects.push({ status: response.status, url: next });
+        current = next;
+        continue;
+      }
+      
+      return {
+        url,
+        ok: response.ok,
+        status: response.status,
+        finalUrl: current,
+        contentType: response.headers.get('content-type'),
+        redirects,
+        checkedAt: Date.now()
+      };
+    }
+    
+    return { url, ok: false, error: `more than ${LINK_CHECK_MAX_REDIRECTS} redirects`, redirects, checkedAt: Date.now() };
+  }
+
+  async request(url, method) {
+    const response = await this.fetch(url, {
+      method,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.timeout),
+      headers: { 'user-agent': 'site-control-mcp link checker' }
+    });
+    // Only the status and headers matter
+    if (method === 'GET') await response.body?.cancel().catch(() => {});
+    return response;
+  }
+}
+
+// Repository fields the site uses, from a GitHub REST API repository object
+function normalizeRepository(repo) {
+  return {
+    id: repo.id,
+    name: repo.name,
+    fullName: repo.full_name,
+    description: repo.description || '',
+    url: repo.html_url,
+    homepage: repo.homepage || null,
+    language: repo.language || null,
+    topics: repo.topics || [],
+    stars: repo.stargazers_count || 0,
+    forks: repo.forks_count || 0,
+    archived: Boolean(repo.archived),
+    fork: Boolean(repo.fork),
+    updatedAt: repo.pushed_at || repo.updated_at
+  };
+}
+
+// Repositories that pass the sync_github_projects filters; any one of the topics is enough
+function filterRepositories(repositories, { topics = [], minStars = 0, includeArchived = false, includeForks = false } = {}) {
+  return repositories.filter(repo =>
+    (includeArchived || !repo.archived) &&
+    (includeForks || !repo.fork) &&
+    repo.stars >= minStars &&
+    (topics.length === 0 || repo.topics.some(topic => topics.includes(topic))));
+}
+
+/**
+ * Lists a user's public repositories through the GitHub REST API. Each page is
+ * cached on disk with its ETag and requested conditionally, so unchanged pages
+ * come back as 304 responses, which do not count against the rate limit.
+ */
+class GitHubClient {
+  constructor({ fetch, apiUrl, token, timeout, cacheFile }) {
+    this.fetch = fetch;
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.token = token;
+    this.timeout = timeout;
+    this.cacheFile = cacheFile;
+  }
+
+  async listRepositories(username, { refresh = false } = {}) {
+    const cache = await fs.readJson(this.cacheFile).catch(() => ({}));
+    const cachedPages = !refresh && cache.username?.toLowerCase() === username.toLowerCase() ? cache.pages : [];
+    const pages = [];
+    let notModified = 0;
+    
+    for (let page = 1; ; page++) {
+      const cached = cachedPages[page - 1];
+      const url = `${this.apiUrl}/users/${encodeURIComponent(username)}/repos?type=owner&sort=pushed&per_page=${GITHUB_PAGE_SIZE}&page=${page}`;
+      const response = await this.request(url, cached?.etag);
+      
+      if (response.status === 304 && cached) {
+        pages.push(cached);
+        notModified++;
+      } else {
+        pages.push({ etag: response.headers.get('etag'), repositories: (await response.json()).map(normalizeRepository) });
+      }
+      if (pages[pages.length - 1].repositories.length < GITHUB_PAGE_SIZE) break;
+    }
+    
+    await fs.outputJson(this.cacheFile, { username, fetchedAt: new Date().toISOString(), pages }, { spaces: 2 });
+    
+    return {
+      repositories: pages.flatMap(page => page.repositories),
+      pages: pages.length,
+      notModified
+    };
+  }
+
+  async request(url, etag) {
+    let response;
+    try {
+      response = await this.fetch(url, {
+        signal: AbortSignal.timeout(this.timeout),
+        headers: {
+          accept: 'application/vnd.github+json',
+          'x-github-api-version': '2022-11-28',
+          'user-agent': 'site-control-mcp',
+          ...(this.token && { authorization: `Bearer ${this.token}` }),
+          ...(etag && { 'if-none-match': etag })
+        }
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TimeoutError'
+        ? `GitHub API timed out after ${this.timeout}ms`
+        : `GitHub API unreachable: ${error.cause?.code || error.cause?.message || error.message}`);
+    }
+    
+    if (response.ok || response.status === 304) return response;
+    
+    const body = await response.json().catch(() => ({}));
+    if (response.status === 404) {
+      throw new Error(`GitHub user not found: ${decodeURIComponent(url.split('/users/')[1].split('/')[0])}`);
+    }
+    if ((response.status === 403 || response.status === 429) && response.headers.get('x-ratelimit-remaining') === '0') {
+      const reset = new Date(Number(response.headers.get('x-ratelimit-reset')) * 1000).toISOString();
+      throw new Error(`GitHub API rate limit exceeded until ${reset}${this.token ? '' : ', set GITHUB_TOKEN for a higher limit'}`);
+    }
+    throw new Error(`GitHub API returned ${response.status}${body.message ? `: ${body.message}` : ''}`);
+  }
+}
+
+// "http://localhost:4000" or "api.example.com" as Contentful client host options
+function hostOptions(host) {
+  if (!host) return {};
+  const url = new URL(host.includes('://') ? host : `https://${host}`);
+  return { host: url.host, insecure: url.protocol === 'http:' };
+}
+
+// Keep SDK logging off stdout, which carries the MCP protocol
+const logHandler = (level, data) => console.error(`[contentful ${level}]`, data);
+
+// Load profiles from the profiles file (JSON or YAML). The "default" profile
+// comes from the environment variables unless the file overrides it.
+function loadProfiles() {
+  const localProfile = {
+    backend: 'local',
+    spaceId: 'local',
+    environment: 'master',
+    storeFile: LOCAL_STORE_FILE,
+    description: 'Offline store seeded from src/data/mock'
+  };
+  const profiles = {
+    default: CONTENT_BACKEND === 'local' ? { ...localProfile, environment: CONTENTFUL_ENVIRONMENT } : {
+      backend: 'contentful',
+      spaceId: CONTENTFUL_SPACE_ID,
+      environment: CONTENTFUL_ENVIRONMENT,
+      managementToken: CONTENTFUL_MANAGEMENT_TOKEN,
+      deliveryToken: CONTENTFUL_DELIVERY_TOKEN
+    },
+    local: localProfile
+  };
+  if (!['contentful', 'local'].includes(CONTENT_BACKEND)) {
+    throw new Error(`Unknown CONTENT_BACKEND "${CONTENT_BACKEND}", expected contentful or local`);
+  }
+  let defaultProfile = 'default';
+  
+  if (fs.pathExistsSync(CONTENTFUL_PROFILES_FILE)) {
+    // Values may reference environment variables as ${NAME} to keep tokens out of the file
+    const interpolate = value => typeof value === 'string'
+      ? value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '')
+      : value;
+    const config = yaml.parse(fs.readFileSync(CONTENTFUL_PROFILES_FILE, 'utf8')) || {};
+    
+    Object.entries(config.profiles || {}).forEach(([name, profile]) => {
+      const resolved = Object.fromEntries(Object.entries(profile).map(([key, value]) => [key, interpolate(value)]));
+      if (resolved.backend === 'local') {
+        profiles[name] = {
+          ...localProfile,
+          environment: resolved.environment || 'master',
+          storeFile: resolved.storeFile
+            ? path.resolve(path.dirname(CONTENTFUL_PROFILES_FILE), resolved.storeFile)
+            : LOCAL_STORE_FILE,
+          description: resolved.description || localProfile.description
+        };
+        return;
+      }
+      if (resolved.backend && resolved.backend !== 'contentful') {
+        throw new Error(`Profile "${name}" has unknown backend "${resolved.backend}", expected contentful or local`);
+      }
+      profiles[name] = {
+        backend: 'contentful',
+        spaceId: resolved.spaceId || CONTENTFUL_SPACE_ID,
+        environment: resolved.environment || 'master',
+        // A profile that names its own token never falls back to the global one
+        managementToken: 'managementToken' in resolved ? resolved.managementToken : CONTENTFUL_MANAGEMENT_TOKEN,
+        deliveryToken: 'deliveryToken' in resolved ? resolved.deliveryToken : CONTENTFUL_DELIVERY_TOKEN,
+        description: resolved.description
+      };
+    });
+    defaultProfile = config.default || defaultProfile;
+  }
+  
+  return { profiles, defaultProfile: process.env.CONTENTFUL_PROFILE || defaultProfile };
+}
+
+// Error shaped like the Contentful SDK's, whose name callers check (NotFound, VersionMismatch, ...)
+function localStoreError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+const localId = () => crypto.randomBytes(16).toString('base64url').replace(/[-_]/g, '').slice(0, 22);
 
-// Initialize Contentful clients
-let managementClient, deliveryClient;
+function pageOf(items, query = {}) {
+  const skip = Number(query.skip || 0);
+  const limit = Number(query.limit || 100);
+  return { items: items.slice(skip, skip + limit), total: items.length, skip, limit };
+}
 
-try {
-  if (CONTENTFUL_MANAGEMENT_TOKEN) {
-    managementClient = createClient({
-      accessToken: CONTENTFUL_MANAGEMENT_TOKEN
+// Filter and page entries with { locale: value } fields like the Contentful APIs do,
+// for the query parameters this server sends
+function queryLocalEntries(entries, query = {}) {
+  const { skip, limit, order, ...filters } = query;
+  const words = value => typeof value === 'string' ? [value] : Array.isArray(value) ? value.flatMap(words) : [];
+  
+  const matched = entries.filter(entry => Object.entries(filters).every(([key, expected]) => {
+    if (key === 'query') {
+      const text = Object.values(entry.fields).flatMap(values => Object.values(values)).flatMap(words).join('\n');
+      return text.toLowerCase().includes(String(expected).toLowerCase());
+    }
+    
+    const [, field, operator] = key.match(/^(.*?)(?:\[(\w+)\])?$/);
+    let actual;
+    if (field === 'content_type') actual = [entry.sys.contentType.sys.id];
+    else if (field.startsWith('sys.')) actual = [entry.sys[field.slice(4)]];
+    else if (field.startsWith('fields.')) actual = Object.values(entry.fields[field.slice(7)] || {}).flat();
+    else throw localStoreError('BadRequest', `The local store does not support the query parameter "${key}"`);
+    actual = actual.filter(value => value !== undefined && value !== null);
+    
+    switch (operator) {
+      case undefined:
+        return actual.some(value => String(value) === String(expected));
+      case 'in':
+        return String(expected).split(',').some(item => actual.some(value => String(value) === item));
+      case 'exists':
+        return (actual.length > 0) === (String(expected) === 'true');
+      case 'gte':
+        return actual.some(value => value >= expected);
+      case 'lte':
+        return actual.some(value => value <= expected);
+      default:
+        throw localStoreError('BadRequest', `The local store does not support the query parameter "${key}"`);
+    }
+  }));
+  
+  // order is a comma-separated list of sys.* or fields.* paths, descending with a leading -
+  if (order) {
+    const sortKeys = String(order).split(',').map(key => ({ descending: key.startsWith('-'), key: key.replace(/^-/, '') }));
+    const sortValue = (entry, key) => key.startsWith('sys.')
+      ? entry.sys[key.slice(4)]
+      : Object.values(entry.fields[key.replace(/^fields\./, '')] || {})[0];
+    matched.sort((a, b) => {
+      for (const { descending, key } of sortKeys) {
+        const [first, second] = [sortValue(a, key), sortValue(b, key)];
+        if (first === second) continue;
+        const result = first === undefined ? 1 : second === undefined ? -1 : first < second ? -1 : 1;
+        return descending ? -result : result;
+      }
+      return 0;
     });
   }
+  return pageOf(matched, { skip, limit });
+}
+
+// Contentful field definition for a validation schema field
+function contentfulField(id, fieldSchema) {
+  const inner = unwrapSchema(fieldSchema);
+  const field = {
+    id,
+    name: id.replace(/([A-Z])/g, ' $1').replace(/^./, letter => letter.toUpperCase()),
+    localized: false,
+    required: !fieldSchema.isOptional(),
+    validations: []
+  };
+  if (inner instanceof z.ZodArray) return { ...field, type: 'Array', items: { type: 'Symbol', validations: [] } };
+  if (inner instanceof z.ZodBoolean) return { ...field, type: 'Boolean' };
+  if (inner instanceof z.ZodNumber) return { ...field, type: 'Number' };
+  if (inner instanceof z.ZodEnum) return { ...field, type: 'Symbol', validations: [{ in: inner.options }] };
+  return { ...field, type: ['description', 'definition'].includes(id) ? 'Text' : 'Symbol' };
+}
+
+// New local environment: content types from the validation schemas, published entries from the mock data
+function seedLocalEnvironment(environmentId, defaultLocale) {
+  const now = new Date().toISOString();
+  const environment = { contentTypes: {}, entries: {} };
+  const definitions = [
+    { id: 'aiTool', name: 'AI Tool', displayField: 'name', schema: ToolSchema },
+    { id: 'aiTerm', name: 'AI Term', displayField: 'term', schema: TermSchema },
+    // The content type stores the category name as its title
+    { id: 'categoryPage', name: 'Category Page', displayField: 'title', schema: z.object({ title: z.string() }).merge(CategorySchema.omit({ name: true })) }
+  ];
+  definitions.forEach(({ id, name, displayField, schema }) => {
+    environment.contentTypes[id] = {
+      sys: { id, type: 'ContentType', version: 2, publishedVersion: 1, createdAt: now, updatedAt: now },
+      name,
+      description: '',
+      displayField,
+      fields: Object.entries(schema.shape).map(([fieldId, fieldSchema]) => contentfulField(fieldId, fieldSchema))
+    };
+  });
   
-  if (CONTENTFUL_DELIVERY_TOKEN && CONTENTFUL_SPACE_ID) {
-    deliveryClient = createDeliveryClient({
-      space: CONTENTFUL_SPACE_ID,
-      accessToken: CONTENTFUL_DELIVERY_TOKEN
+  // Mock files hold either one array named after the file (tools.json) or arrays per section ({ tools: [...] })
+  const files = fs.existsSync(MOCK_DATA_DIR)
+    ? fs.readdirSync(MOCK_DATA_DIR).filter(file => /\.(json|ya?ml)$/.test(file)).sort()
+    : [];
+  files.forEach(file => {
+    const data = yaml.parse(fs.readFileSync(path.join(MOCK_DATA_DIR, file), 'utf8'));
+    const sections = Array.isArray(data) ? { [path.parse(file).name]: data } : data || {};
+    
+    Object.entries(sections).forEach(([section, items]) => {
+      const contentTypeId = CONTENT_TYPES[section] || (Object.values(CONTENT_TYPES).includes(section) ? section : null);
+      if (!contentTypeId || !Array.isArray(items)) return;
+      const fieldIds = new Set(environment.contentTypes[contentTypeId].fields.map(field => field.id));
+      
+      items.forEach(item => {
+        // Plain objects or entries as the Contentful APIs return them
+        const source = item.fields && typeof item.fields === 'object' ? item.fields : item;
+        const values = contentTypeId === 'categoryPage' && source.title === undefined ? { ...source, title: source.name } : source;
+        const fields = Object.fromEntries(Object.entries(values)
+          .filter(([fieldId, value]) => fieldIds.has(fieldId) && value !== undefined && value !== null)
+          .map(([fieldId, value]) => [fieldId, isLocaleMap(value) ? value : { [defaultLocale]: value }]));
+        // Without an ID the slug of the name keeps IDs stable across environments and re-seeding
+        const slug = slugify(values.name || values.term || values.title || '');
+        const id = item.sys?.id || (typeof item.id === 'string' && item.id) ||
+          (slug && !environment.entries[slug] ? slug : localId());
+        
+        environment.entries[id] = {
+          sys: {
+            id,
+            type: 'Entry',
+            contentType: { sys: { type: 'Link', linkType: 'ContentType', id: contentTypeId } },
+            environment: { sys: { type: 'Link', linkType: 'Environment', id: environmentId } },
+            version: 2,
+            publishedVersion: 1,
+            publishedCounter: 1,
+            createdAt: now,
+            updatedAt: now,
+            publishedAt: now,
+            firstPublishedAt: now
+          },
+          fields,
+          metadata: { tags: [] },
+          published: fields
+        };
+      });
+    });
+  });
+  return environment;
+}
+
+/**
+ * Offline stand-in for a Contentful space, kept in a local JSON or YAML file.
+ * It implements the parts of the management and delivery client APIs this
+ * server uses, including versions, publishing and archiving, so every tool
+ * works against it unchanged. Environments start from the site's mock data;
+ * promote_content copies a local environment into Contentful.
+ */
+class LocalStore {
+  constructor(file) {
+    this.file = file;
+    this.data = null;
+    this.writing = Promise.resolve();
+  }
+
+  load() {
+    if (!this.data) {
+      // YAML is a superset of JSON, so one parser reads both formats
+      this.data = fs.existsSync(this.file) ? yaml.parse(fs.readFileSync(this.file, 'utf8')) : {
+        locales: [{ code: 'en-US', name: 'English (United States)', default: true, fallbackCode: null }],
+        environments: {},
+        scheduledActions: []
+      };
+    }
+    return this.data;
+  }
+
+  save() {
+    const text = /\.ya?ml$/.test(this.file) ? yaml.stringify(this.data) : `${JSON.stringify(this.data, null, 2)}\n`;
+    // Writes are chained so an older snapshot never replaces a newer one
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const tempFile = `${this.file}.tmp`;
+      await fs.outputFile(tempFile, text);
+      await fs.move(tempFile, this.file, { overwrite: true });
+    });
+    return this.writing;
+  }
+
+  defaultLocale() {
+    const { locales } = this.load();
+    return (locales.find(locale => locale.default) || locales[0]).code;
+  }
+
+  environment(environmentId) {
+    const data = this.load();
+    if (!data.environments[environmentId]) {
+      data.environments[environmentId] = seedLocalEnvironment(environmentId, this.defaultLocale());
+    }
+    return data.environments[environmentId];
+  }
+
+  managementClient() {
+    return { getSpace: async () => this.space() };
+  }
+
+  space() {
+    const data = this.load();
+    return {
+      sys: { id: 'local', type: 'Space' },
+      name: 'Local store',
+      getEnvironment: async environmentId => this.environmentClient(environmentId),
+      getScheduledActions: async (query = {}) => pageOf(data.scheduledActions.filter(action =>
+        (!query['environment.sys.id'] || action.environment.sys.id === query['environment.sys.id']) &&
+        (!query['sys.status'] || action.sys.status === query['sys.status']))
+        .map(record => this.wrapScheduledAction(record)), { limit: data.scheduledActions.length }),
+      // Recorded so list_drafts shows them, but nothing runs them offline
+      createScheduledAction: async action => {
+        const record = { ...structuredClone(action), sys: { id: localId(), type: 'ScheduledAction', status: 'scheduled', version: 1, createdAt: new Date().toISOString() } };
+        data.scheduledActions.push(record);
+        await this.save();
+        return this.wrapScheduledAction(record);
+      }
+    };
+  }
+
+  // Deleting a scheduled action cancels it, as in Contentful
+  wrapScheduledAction(record) {
+    return {
+      ...structuredClone(record),
+      delete: async () => {
+        record.sys = { ...record.sys, status: 'canceled', version: record.sys.version + 1, updatedAt: new Date().toISOString() };
+        await this.save();
+      }
+    };
+  }
+
+  environmentClient(environmentId) {
+    const environment = this.environment(environmentId);
+    return {
+      sys: { id: environmentId, type: 'Environment' },
+      name: environmentId,
+      getLocales: async () => pageOf(this.load().locales.map(locale => {
+        const record = { ...locale, sys: { id: locale.code, type: 'Locale' } };
+        return { ...record, toPlainObject: () => structuredClone(record) };
+      })),
+      getContentTypes: async query => pageOf(Object.values(environment.contentTypes)
+        .map(record => this.wrapContentType(environment, record)), query),
+      getContentType: async contentTypeId => {
+        const record = environment.contentTypes[contentTypeId];
+        if (!record) throw localStoreError('NotFound', `Content type ${contentTypeId} not found`);
+        return this.wrapContentType(environment, record);
+      },
+      createContentTypeWithId: async (contentTypeId, data) => {
+        if (environment.contentTypes[contentTypeId]) {
+          throw localStoreError('VersionMismatch', `Content type ${contentTypeId} already exists`);
+        }
+        const now = new Date().toISOString();
+        const { name, description = '', displayField, fields = [] } = data;
+        environment.contentTypes[contentTypeId] = {
+          sys: { id: contentTypeId, type: 'ContentType', version: 1, createdAt: now, updatedAt: now },
+          name,
+          description,
+          displayField,
+          fields: structuredClone(fields)
+        };
+        await this.save();
+        return this.wrapContentType(environment, environment.contentTypes[contentTypeId]);
+      },
+      getEntries: async query => {
+        const result = queryLocalEntries(Object.values(environment.entries), query);
+        return { ...result, items: result.items.map(record => this.wrapEntry(environment, record)) };
+      },
+      getEntry: async entryId => {
+        const record = environment.entries[entryId];
+        if (!record) throw localStoreError('NotFound', `Entry ${entryId} not found`);
+        return this.wrapEntry(environment, record);
+      },
+      createEntry: async (contentTypeId, data) => this.createEntry(environment, environmentId, contentTypeId, localId(), data),
+      createEntryWithId: async (contentTypeId, entryId, data) => this.createEntry(environment, environmentId, contentTypeId, entryId, data),
+      // Assets stay in Contentful; the local store only holds entries
+      getAssets: async query => pageOf([], query),
+      getAsset: async assetId => {
+        throw localStoreError('NotFound', `Asset ${assetId} not found (the local store holds no assets)`);
+      }
+    };
+  }
+
+  deliveryClient(environmentId) {
+    return {
+      getEntries: async (query = {}) => {
+        const { locale, ...filters } = query;
+        const defaultLocale = this.defaultLocale();
+        if (locale && locale !== '*' && !this.load().locales.some(candidate => candidate.code === locale)) {
+          throw localStoreError('BadRequest', `Unknown locale: ${locale}`);
+        }
+        
+        // Only published entries, as they were when last published
+        const published = Object.values(this.environment(environmentId).entries)
+          .filter(record => record.published)
+          .map(record => ({
+            sys: {
+              id: record.sys.id,
+              type: 'Entry',
+              contentType: record.sys.contentType,
+              createdAt: record.sys.createdAt,
+              updatedAt: record.sys.publishedAt,
+              revision: record.sys.publishedCounter
+            },
+            fields: record.published
+          }));
+        const result = queryLocalEntries(published, filters);
+        
+        return {
+          ...result,
+          items: result.items.map(entry => locale === '*' ? entry : {
+            sys: { ...entry.sys, locale: locale || defaultLocale },
+            fields: Object.fromEntries(Object.entries(entry.fields)
+              .map(([fieldId, values]) => [fieldId, values[locale || defaultLocale] ?? values[defaultLocale]])
+              .filter(([, value]) => value !== undefined))
+          })
+        };
+      }
+    };
+  }
+
+  // Field values must belong to the content type and a known locale, as Contentful enforces on save
+  checkFields(environment, contentTypeId, fields = {}) {
+    const fieldIds = new Set(environment.contentTypes[contentTypeId].fields.map(field => field.id));
+    const codes = this.load().locales.map(locale => locale.code);
+    
+    Object.entries(fields).forEach(([fieldId, values]) => {
+      if (!fieldIds.has(fieldId)) {
+        throw localStoreError('InvalidEntry', `Unknown field "${fieldId}" for content type ${contentTypeId}`);
+      }
+      const unknown = Object.keys(values || {}).filter(code => !codes.includes(code));
+      if (unknown.length > 0) {
+        throw localStoreError('InvalidEntry', `Unknown locale(s) for ${fieldId}: ${unknown.join(', ')}`);
+      }
+    });
+    return structuredClone(fields);
+  }
+
+  async createEntry(environment, environmentId, contentTypeId, entryId, data = {}) {
+    if (!environment.contentTypes[contentTypeId]) {
+      throw localStoreError('UnknownContentType', `Content type ${contentTypeId} not found`);
+    }
+    if (environment.entries[entryId]) {
+      throw localStoreError('VersionMismatch', `Entry ${entryId} already exists`);
+    }
+    
+    const now = new Date().toISOString();
+    environment.entries[entryId] = {
+      sys: {
+        id: entryId,
+        type: 'Entry',
+        contentType: { sys: { type: 'Link', linkType: 'ContentType', id: contentTypeId } },
+        environment: { sys: { type: 'Link', linkType: 'Environment', id: environmentId } },
+        version: 1,
+        createdAt: now,
+        updatedAt: now
+      },
+      fields: this.checkFields(environment, contentTypeId, data.fields),
+      metadata: data.metadata || { tags: [] }
+    };
+    await this.save();
+    return this.wrapEntry(environment, environment.entries[entryId]);
+  }
+
+  wrapEntry(environment, record) {
+    const entry = structuredClone({ sys: record.sys, fields: record.fields, metadata: record.metadata });
+    const change = action => () => this.changeEntry(environment, entry, action);
+    
+    return Object.assign(entry, {
+      update: change('update'),
+      publish: change('publish'),
+      unpublish: change('unpublish'),
+      archive: change('archive'),
+      unarchive: change('unarchive'),
+      delete: change('delete'),
+      isPublished: () => Boolean(entry.sys.publishedVersion),
+      isArchived: () => Boolean(entry.sys.archivedVersion),
+      isDraft: () => !entry.sys.publishedVersion,
+      isUpdated: () => Boolean(entry.sys.publishedVersion && entry.sys.version > entry.sys.publishedVersion + 1),
+      toPlainObject: () => structuredClone({ sys: entry.sys, fields: entry.fields, metadata: entry.metadata })
+    });
+  }
+
+  // Apply an entry action with Contentful's version bookkeeping and state rules
+  async changeEntry(environment, entry, action) {
+    const { id } = entry.sys;
+    const record = environment.entries[id];
+    if (!record) {
+      throw localStoreError('NotFound', `Entry ${id} not found`);
+    }
+    if (record.sys.version !== entry.sys.version) {
+      throw localStoreError('VersionMismatch', `Entry ${id} is at version ${record.sys.version}, not ${entry.sys.version}`);
+    }
+    
+    const now = new Date().toISOString();
+    const sys = { ...record.sys, version: record.sys.version + 1, updatedAt: now };
+    const contentTypeId = record.sys.contentType.sys.id;
+    
+    switch (action) {
+      case 'update':
+        if (record.sys.archivedVersion) throw localStoreError('BadRequest', `Entry ${id} is archived and cannot be updated`);
+        record.fields = this.checkFields(environment, contentTypeId, entry.fields);
+        record.metadata = structuredClone(entry.metadata || { tags: [] });
+        break;
+      case 'publish': {
+        if (record.sys.archivedVersion) throw localStoreError('BadRequest', `Entry ${id} is archived and cannot be published`);
+        const defaultLocale = this.defaultLocale();
+        const missing = environment.contentTypes[contentTypeId].fields
+          .filter(field => field.required && !field.omitted)
+          .filter(field => [undefined, null, ''].includes(record.fields[field.id]?.[defaultLocale]))
+          .map(field => field.id);
+        if (missing.length > 0) {
+          throw localStoreError('ValidationFailed', `Entry ${id} is missing required field(s): ${missing.join(', ')}`);
+        }
+        Object.assign(sys, {
+          publishedVersion: record.sys.version,
+          publishedCounter: (record.sys.publishedCounter || 0) + 1,
+          publishedAt: now,
+          firstPublishedAt: record.sys.firstPublishedAt || now
+        });
+        record.published = structuredClone(record.fields);
+        break;
+      }
+      case 'unpublish':
+        if (!record.sys.publishedVersion) throw localStoreError('BadRequest', `Entry ${id} is not published`);
+        delete sys.publishedVersion;
+        delete sys.publishedAt;
+        delete record.published;
+        break;
+      case 'archive':
+        if (record.sys.publishedVersion) throw localStoreError('BadRequest', `Entry ${id} must be unpublished before archiving`);
+        Object.assign(sys, { archivedVersion: record.sys.version, archivedAt: now });
+        break;
+      case 'unarchive':
+        if (!record.sys.archivedVersion) throw localStoreError('BadRequest', `Entry ${id} is not archived`);
+        delete sys.archivedVersion;
+        delete sys.archivedAt;
+        break;
+      case 'delete':
+        if (record.sys.publishedVersion) throw localStoreError('BadRequest', `Entry ${id} must be unpublished before deleting`);
+        delete environment.entries[id];
+        await this.save();
+        return undefined;
+    }
+    
+    record.sys = sys;
+    await this.save();
+    return this.wrapEntry(environment, record);
+  }
+
+  wrapContentType(environment, record) {
+    const contentType = structuredClone(record);
+    const current = () => {
+      const stored = environment.contentTypes[record.sys.id];
+      if (!stored) throw localStoreError('NotFound', `Content type ${record.sys.id} not found`);
+      if (stored.sys.version !== contentType.sys.version) {
+        throw localStoreError('VersionMismatch', `Content type ${record.sys.id} is at version ${stored.sys.version}, not ${contentType.sys.version}`);
+      }
+      return stored;
+    };
+    
+    return Object.assign(contentType, {
+      update: async () => {
+        const stored = current();
+        const { name, description, displayField, fields } = contentType;
+        Object.assign(stored, structuredClone({ name, description, displayField, fields }));
+        stored.sys = { ...stored.sys, version: stored.sys.version + 1, updatedAt: new Date().toISOString() };
+        await this.save();
+        return this.wrapContentType(environment, stored);
+      },
+      publish: async () => {
+        const stored = current();
+        stored.sys = { ...stored.sys, publishedVersion: stored.sys.version, version: stored.sys.version + 1 };
+        await this.save();
+        return this.wrapContentType(environment, stored);
+      },
+      unpublish: async () => {
+        const stored = current();
+        if (!stored.sys.publishedVersion) throw localStoreError('BadRequest', `Content type ${record.sys.id} is not published`);
+        const { publishedVersion, ...sys } = stored.sys;
+        stored.sys = { ...sys, version: sys.version + 1 };
+        await this.save();
+        return this.wrapContentType(environment, stored);
+      },
+      delete: async () => {
+        const stored = current();
+        if (stored.sys.publishedVersion) throw localStoreError('BadRequest', `Content type ${record.sys.id} must be unpublished before deleting`);
+        if (Object.values(environment.entries).some(entry => entry.sys.contentType.sys.id === record.sys.id)) {
+          throw localStoreError('BadRequest', `Content type ${record.sys.id} still has entries`);
+        }
+        delete environment.contentTypes[record.sys.id];
+        await this.save();
+      },
+      isPublished: () => Boolean(contentType.sys.publishedVersion),
+      toPlainObject: () => structuredClone(record)
     });
   }
-} catch (error) {
-  console.warn('Warning: Contentful clients could not be initialized:', error.message);
+}
+
+// Management clients are space-agnostic, so profiles sharing a token share a client
+const managementClients = new Map();
+
+// Local stores by file, shared by every profile and environment that uses the file
+const localStores = new Map();
+
+function createContentfulClients(profile, environmentId) {
+  const clients = {};
+  
+  if (profile.backend === 'local') {
+    if (!localStores.has(profile.storeFile)) {
+      localStores.set(profile.storeFile, new LocalStore(profile.storeFile));
+    }
+    const store = localStores.get(profile.storeFile);
+    return { management: store.managementClient(), delivery: store.deliveryClient(environmentId) };
+  }
+  
+  try {
+    if (profile.managementToken) {
+      if (!managementClients.has(profile.managementToken)) {
+        const httpAdapter = axios.getAdapter('http');
+        managementClients.set(profile.managementToken, createClient({
+          accessToken: profile.managementToken,
+          ...hostOptions(CONTENTFUL_MANAGEMENT_HOST),
+          // Retries are handled by the request queue
+          retryOnError: false,
+          adapter: config => requestQueue.run(() => httpAdapter(config), { method: config.method }),
+          logHandler
+        }));
+      }
+      clients.management = managementClients.get(profile.managementToken);
+    }
+    
+    if (profile.deliveryToken && profile.spaceId) {
+      clients.delivery = createDeliveryClient({
+        space: profile.spaceId,
+        environment: environmentId,
+        accessToken: profile.deliveryToken,
+        ...hostOptions(CONTENTFUL_DELIVERY_HOST),
+        logHandler
+      });
+    }
+  } catch (error) {
+    console.warn('Warning: Contentful clients could not be initialized:', error.message);
+  }
+  
+  return clients;
 }
 
 // Validation schemas
@@ -101,709 +1147,6554 @@ const CategorySchema = z.object({
   filterValues: z.array(z.string())
 });
 
-class SiteManagementServer {
-  constructor() {
-    this.server = new Server(
-      {
-        name: 'ai-liftoff-site-management',
-        version: '1.0.0'
-      },
+// Content types the update_* and delete_* tools edit, with the array fields that can be appended to or removed from
+const EDITABLE_TYPES = {
+  tool: { contentType: 'aiTool', label: 'AI tool', schema: ToolSchema, listFields: ['tags', 'features'] },
+  term: { contentType: 'aiTerm', label: 'AI term', schema: TermSchema, listFields: ['relatedTerms', 'examples'] },
+  category: {
+    contentType: 'categoryPage',
+    label: 'category page',
+    schema: CategorySchema,
+    listFields: ['filterValues'],
+    // create_category_page stores the category name as the page title
+    fieldIds: { name: 'title' }
+  }
+};
+
+// Create tools whose field schemas are generated from the live content model
+const LIVE_SCHEMA_TOOLS = {
+  add_ai_tool: EDITABLE_TYPES.tool,
+  add_ai_term: EDITABLE_TYPES.term,
+  create_category_page: EDITABLE_TYPES.category
+};
+
+// Arguments of an update_* tool for an editable content type
+function entryUpdateSchema({ schema, listFields }) {
+  const listChanges = z.object(Object.fromEntries(listFields.map(fieldName => [fieldName, z.array(z.string())])))
+    .partial()
+    .strict();
+  
+  return z.object({
+    entryId: z.string(),
+    fields: localizable(schema).partial().default({}),
+    append: listChanges.optional(),
+    remove: listChanges.optional(),
+    expectedVersion: z.number().int().optional()
+  });
+}
+
+const PublishSchema = z.object({
+  publish: z.enum(['draft', 'publish', 'schedule']).default(CONTENTFUL_PUBLISH_MODE),
+  scheduledAt: z.string().refine(value => !isNaN(Date.parse(value)), 'Invalid date').optional(),
+  timezone: z.string().optional()
+}).refine(
+  options => options.publish !== 'schedule' || (options.scheduledAt && Date.parse(options.scheduledAt) > Date.now()),
+  { message: 'publish: "schedule" requires a future scheduledAt date', path: ['scheduledAt'] }
+);
+
+const GitHubSyncSchema = z.object({
+  username: z.string().trim().min(1).optional(),
+  forceRefresh: z.boolean().default(false),
+  topics: z.array(z.string().trim().toLowerCase()).default([]),
+  minStars: z.number().int().min(0).default(0),
+  includeArchived: z.boolean().default(false),
+  includeForks: z.boolean().default(false),
+  syncToContentful: z.boolean().default(false)
+});
+
+const SiteConfigOperationSchema = z.object({
+  op: z.enum(['set', 'unset', 'append']),
+  path: z.string(),
+  value: z.unknown().optional()
+}).refine(
+  operation => operation.op === 'unset' || operation.value !== undefined,
+  { message: 'set and append need a value', path: ['value'] }
+);
+
+const SiteConfigUpdateSchema = z.object({
+  config: z.record(z.unknown()).optional(),
+  operations: z.array(SiteConfigOperationSchema).optional(),
+  dryRun: z.boolean().optional()
+}).refine(
+  update => update.config || update.operations?.length,
+  'Pass config to merge and/or operations to apply'
+);
+
+// OpenGraph image: an absolute http(s) URL or a path on the site
+const ImageUrlSchema = z.string().trim().refine(value => {
+  if (value.startsWith('/')) return true;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}, 'must be an absolute URL or a site path such as /og-image.png');
+
+// Site-wide SEO settings stored in src/config/seo.json
+const SEOConfigSchema = z.object({
+  domain: z.string()
+    .transform(value => value.trim().toLowerCase())
+    .refine(value => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value), 'must be a bare domain such as example.org'),
+  title: z.string().trim().min(1),
+  description: z.string().trim().min(1),
+  keywords: z.array(z.string().trim().min(1)),
+  ogImage: ImageUrlSchema,
+  // Page paths of each content type, e.g. "/tools/:slug"
+  routes: z.object({
+    tools: z.string(),
+    terms: z.string(),
+    categories: z.string()
+  }).partial().refine(
+    routes => Object.values(routes).every(route => route.startsWith('/') && route.includes(':slug')),
+    'routes must be paths containing :slug, e.g. /tools/:slug'
+  )
+}).partial();
+
+// Page paths of each content type unless src/config/seo.json sets routes
+const DEFAULT_ROUTES = {
+  tools: '/tools/:slug',
+  terms: '/glossary/:slug',
+  categories: '/category/:slug'
+};
+
+// Where SEOMetaTags.tsx may hold each site-wide setting: constants, props defaults or
+// object properties with one of these names, and <meta> tags with this name or property
+const SEO_COMPONENT_TARGETS = {
+  title: { identifiers: ['title', 'defaultTitle', 'siteTitle'], meta: ['og:title', 'twitter:title'] },
+  description: { identifiers: ['description', 'defaultDescription', 'siteDescription'], meta: ['description', 'og:description', 'twitter:description'] },
+  keywords: { identifiers: ['keywords', 'defaultKeywords'], meta: ['keywords'] },
+  ogImage: { identifiers: ['ogImage', 'image', 'defaultImage', 'defaultOgImage'], meta: ['og:image', 'twitter:image'] }
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Quote a value like the string literal it replaces
+function quoteLike(source, node, value) {
+  const quote = source[node.start];
+  const escaped = value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+    .replace(new RegExp(quote === '`' ? '`|\\$\\{' : quote, 'g'), match => `\\${match}`);
+  return `${quote}${escaped}${quote}`;
+}
+
+// Syntax nodes directly below a node of a parsed source, comments left out
+function childNodes(node) {
+  return Object.entries(node)
+    .filter(([key]) => !['loc', 'extra', 'leadingComments', 'trailingComments', 'innerComments'].includes(key))
+    .flatMap(([, value]) => Array.isArray(value) ? value : [value])
+    .filter(value => typeof value?.type === 'string');
+}
+
+// Apply SEO settings to the source of a component that does not read src/config/seo.json,
+// parsed as TSX so only string literals are replaced: values of the targets above, the
+// text of <title>, and URLs on the previous domain. Expressions are left alone.
+function applySEOToComponent(source, previous, settings) {
+  const file = parseSource(source, { sourceType: 'module', plugins: ['jsx', 'typescript'], errorRecovery: true });
+  const isString = node => node && (node.type === 'StringLiteral' || (node.type === 'TemplateLiteral' && node.expressions.length === 0));
+  const nameOf = node => node?.type === 'StringLiteral' ? node.value : node?.name;
+  const textOf = node => source.slice(node.start, node.end);
+  const unwrap = node => node?.type === 'JSXExpressionContainer' ? node.expression : node;
+  const edits = new Map();
+  const applied = new Set();
+  
+  const replace = (node, text, key) => {
+    applied.add(key);
+    if (textOf(node) !== text) edits.set(node.start, { start: node.start, end: node.end, text });
+  };
+  
+  const setValue = (key, node) => {
+    const value = settings[key];
+    if (value === undefined || !node) return;
+    if (key === 'keywords' && node.type === 'ArrayExpression' && node.elements.every(isString)) {
+      const quoted = value.map(keyword => node.elements.length > 0 ? quoteLike(source, node.elements[0], keyword) : `'${keyword}'`);
+      replace(node, `[${quoted.join(', ')}]`, key);
+    } else if (isString(node)) {
+      replace(node, quoteLike(source, node, key === 'keywords' ? value.join(', ') : value), key);
+    }
+  };
+  const keyNamed = (name, kind) => Object.keys(SEO_COMPONENT_TARGETS).find(key => SEO_COMPONENT_TARGETS[key][kind].includes(name));
+  
+  // Name and initial value of a constant, a destructured or parameter default, or an object property
+  const initialized = (node, parent) => {
+    if (node.type === 'VariableDeclarator' && node.init) return [nameOf(node.id), node.init];
+    if (node.type === 'ObjectProperty' && !node.computed) {
+      return [nameOf(node.key), node.value.type === 'AssignmentPattern' ? node.value.right : node.value];
+    }
+    if (node.type === 'AssignmentPattern' && parent?.type !== 'ObjectProperty') return [nameOf(node.left), node.right];
+    return [];
+  };
+  
+  let siteUrlDomain;
+  const visit = (node, parent) => {
+    const [name, initializer] = initialized(node, parent);
+    if (initializer) {
+      if (name === 'siteUrl') {
+        siteUrlDomain ??= textOf(initializer).match(/https:\/\/([a-z0-9.-]+)/i)?.[1];
+      }
+      setValue(keyNamed(name, 'identifiers'), unwrap(initializer));
+    }
+    
+    if (node.type === 'JSXOpeningElement' && textOf(node.name) === 'meta') {
+      const attributes = Object.fromEntries(node.attributes
+        .filter(attribute => attribute.type === 'JSXAttribute' && attribute.value)
+        .map(attribute => [textOf(attribute.name), unwrap(attribute.value)]));
+      const target = [attributes.name, attributes.property].find(isString);
+      if (target) setValue(keyNamed(nameOf(target), 'meta'), attributes.content);
+    }
+    
+    if (node.type === 'JSXElement' && textOf(node.openingElement.name) === 'title' && settings.title !== undefined &&
+      node.children.length > 0 && node.children.every(child => child.type === 'JSXText')) {
+      const [first, last] = [node.children[0], node.children[node.children.length - 1]];
+      const [, lead, current, trail] = source.slice(first.start, last.end).match(/^(\s*)([\s\S]*?)(\s*)$/);
+      const title = /[{}<>]/.test(settings.title) ? `{${JSON.stringify(settings.title)}}` : settings.title;
+      applied.add('title');
+      if (current !== title) {
+        edits.set(first.start, { start: first.start, end: last.end, text: `${lead}${title}${trail}` });
+      }
+    }
+    
+    childNodes(node).forEach(child => visit(child, node));
+  };
+  visit(file.program);
+  
+  if (settings.domain && siteUrlDomain === settings.domain) applied.add('domain');
+  
+  // Point absolute URLs on the old domain at the new one, except in literals replaced above
+  const oldDomains = [...new Set([previous.domain, siteUrlDomain])].filter(domain => domain && domain !== settings.domain);
+  if (settings.domain && oldDomains.length > 0) {
+    const pattern = new RegExp(`(https?://(?:www\\.)?)(?:${oldDomains.map(escapeRegExp).join('|')})(?=[/:?#'"\`$]|$)`, 'gi');
+    const visitStrings = node => {
+      if (isString(node) || node.type === 'TemplateElement') {
+        // A template part is edited with its delimiters: ` or } before it, ` or ${ after it
+        const start = isString(node) ? node.start : node.start - 1;
+        const end = isString(node) ? node.end : node.end + (node.tail ? 1 : 2);
+        const text = source.slice(start, end);
+        const updated = text.replace(pattern, `$1${settings.domain}`);
+        if (updated !== text && !edits.has(start)) edits.set(start, { start, end, text: updated });
+        if (updated !== text) applied.add('domain');
+        return;
+      }
+      childNodes(node).forEach(visitStrings);
+    };
+    visitStrings(file.program);
+  }
+  
+  const sorted = [...edits.values()].sort((a, b) => a.start - b.start);
+  const changes = sorted.map(edit =>
+    `~ line ${source.slice(0, edit.start).split('\n').length}: ${source.slice(edit.start, edit.end).replace(/\s+/g, ' ').trim()} → ${edit.text.replace(/\s+/g, ' ').trim()}`);
+  const text = sorted.reduceRight((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), source);
+  
+  return { text, changes, applied };
+}
+
+// Per-entry SEO fields of tools, terms and category pages
+const EntrySEOSchema = z.object({
+  metaTitle: z.string().trim().min(1),
+  metaDescription: z.string().trim().min(1),
+  slug: z.string().refine(value => value === slugify(value), 'must be a lowercase slug such as my-tool'),
+  noindex: z.boolean(),
+  ogImage: ImageUrlSchema
+}).partial();
+
+// Contentful definitions of the per-entry SEO fields that add_seo_fields creates
+const SEO_FIELDS = [
+  { id: 'metaTitle', name: 'Meta title', type: 'Symbol', localized: true },
+  { id: 'metaDescription', name: 'Meta description', type: 'Text', localized: true },
+  { id: 'slug', name: 'Slug', type: 'Symbol', localized: false, validations: [{ unique: true }] },
+  { id: 'noindex', name: 'Hide from search engines', type: 'Boolean', localized: false },
+  { id: 'ogImage', name: 'OpenGraph image', type: 'Symbol', localized: false }
+];
+
+// Contentful definition of the project content type that sync_github_projects creates if missing
+const PROJECT_FIELDS = [
+  { id: 'name', name: 'Name', type: 'Symbol', required: true },
+  { id: 'description', name: 'Description', type: 'Text' },
+  { id: 'url', name: 'Repository URL', type: 'Symbol', required: true, validations: [{ unique: true }] },
+  { id: 'homepage', name: 'Homepage', type: 'Symbol' },
+  { id: 'language', name: 'Language', type: 'Symbol' },
+  { id: 'topics', name: 'Topics', type: 'Array', items: { type: 'Symbol' } },
+  { id: 'stars', name: 'Stars', type: 'Integer' },
+  { id: 'archived', name: 'Archived', type: 'Boolean' },
+  { id: 'updatedAt', name: 'Last push', type: 'Date' }
+];
+
+const CONTENT_FIELD_TYPES = ['Symbol', 'Text', 'RichText', 'Integer', 'Number', 'Date', 'Boolean', 'Object', 'Location', 'Link', 'Array'];
+const CONTENT_MODEL_ID = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+const ContentFieldSchema = z.object({
+  id: z.string().regex(CONTENT_MODEL_ID, 'must start with a letter and contain only letters, digits and _'),
+  name: z.string().min(1),
+  type: z.enum(CONTENT_FIELD_TYPES),
+  linkType: z.enum(['Entry', 'Asset']).optional(),
+  items: z.object({
+    type: z.enum(['Symbol', 'Link']),
+    linkType: z.enum(['Entry', 'Asset']).optional(),
+    validations: z.array(z.record(z.string(), z.unknown())).default([])
+  }).optional(),
+  required: z.boolean().default(false),
+  localized: z.boolean().default(false),
+  validations: z.array(z.record(z.string(), z.unknown())).default([])
+}).superRefine((field, ctx) => {
+  if (field.type === 'Link' && !field.linkType) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['linkType'], message: 'is required for Link fields' });
+  }
+  if (field.type === 'Array' && !field.items) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['items'], message: 'is required for Array fields' });
+  }
+  if (field.items?.type === 'Link' && !field.items.linkType) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['items', 'linkType'], message: 'is required for arrays of links' });
+  }
+});
+
+const CreateContentTypeSchema = z.object({
+  contentTypeId: z.string().regex(CONTENT_MODEL_ID, 'must start with a letter and contain only letters, digits and _'),
+  name: z.string().min(1),
+  description: z.string().default(''),
+  displayField: z.string().optional(),
+  fields: z.array(ContentFieldSchema).min(1),
+  dryRun: z.boolean().optional()
+}).superRefine((definition, ctx) => {
+  const ids = definition.fields.map(field => field.id);
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['fields'], message: `has duplicate ids: ${[...new Set(duplicates)].join(', ')}` });
+  }
+  const display = definition.fields.find(field => field.id === definition.displayField);
+  if (definition.displayField && !['Symbol', 'Text'].includes(display?.type)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['displayField'], message: 'must be the id of a Symbol or Text field' });
+  }
+});
+
+const AddFieldSchema = z.object({
+  contentTypeId: z.string(),
+  field: ContentFieldSchema,
+  dryRun: z.boolean().optional()
+});
+
+// Contentful caps a single collection request at 1000 items
+const CONTENTFUL_PAGE_LIMIT = 1000;
+const RESOURCE_PAGE_SIZE = 100;
+
+// Field values of create_entry and update_entry by field ID; checked against the content type in Contentful
+const EntryFieldsSchema = z.record(z.string(), z.unknown());
+
+const CreateEntrySchema = z.object({
+  contentTypeId: z.string(),
+  fields: EntryFieldsSchema
+});
+
+const UpdateEntrySchema = z.object({
+  entryId: z.string(),
+  fields: EntryFieldsSchema.refine(fields => Object.keys(fields).length > 0, 'must name at least one field')
+});
+
+const QueryEntriesSchema = z.object({
+  contentTypeId: z.string(),
+  query: z.string().optional(),
+  where: z.record(z.string(), z.union([z.string(), z.number(), z.boolean(), z.array(z.union([z.string(), z.number()]))])).default({}),
+  status: z.enum(['draft', 'changed', 'published', 'archived']).optional(),
+  order: z.string().default('-sys.updatedAt'),
+  limit: z.number().int().min(1).max(CONTENTFUL_PAGE_LIMIT).default(20),
+  skip: z.number().int().min(0).default(0)
+});
+
+const SearchSchema = z.object({
+  query: z.string().optional(),
+  contentTypes: z.array(z.enum(['tools', 'terms', 'categories'])).optional(),
+  category: z.string().optional(),
+  pricing: z.enum(['free', 'freemium', 'paid']).optional(),
+  tags: z.array(z.string()).optional(),
+  isAITool: z.boolean().optional(),
+  updatedSince: z.string().refine(value => !isNaN(Date.parse(value)), 'Invalid date').optional(),
+  sort: z.enum(['name', '-name', 'createdAt', '-createdAt', 'updatedAt', '-updatedAt']).default('name'),
+  fields: z.array(z.string()).optional(),
+  locale: z.string().optional(),
+  limit: z.number().int().min(1).max(1000).default(20),
+  offset: z.number().int().min(0).default(0)
+});
+
+// Content that can be bulk imported and exported, matched on its name field
+const TRANSFER_TYPES = {
+  tools: { contentType: 'aiTool', schema: ToolSchema, nameField: 'name' },
+  terms: { contentType: 'aiTerm', schema: TermSchema, nameField: 'term' }
+};
+
+// Separator for array values inside a single CSV cell
+const CSV_LIST_SEPARATOR = ';';
+
+// Fields each content type can be filtered on
+const FILTER_FIELDS = {
+  aiTool: ['category', 'pricing', 'tags', 'isAITool'],
+  aiTerm: ['category'],
+  categoryPage: []
+};
+
+// Optional arguments of every tool that writes entries
+const PUBLISH_PROPERTIES = {
+  publish: {
+    type: 'string',
+    enum: ['draft', 'publish', 'schedule'],
+    description: `Keep as draft, publish now or schedule publishing (default: ${CONTENTFUL_PUBLISH_MODE})`
+  },
+  scheduledAt: { type: 'string', description: 'ISO date to publish at when publish is "schedule"' },
+  timezone: { type: 'string', description: 'Timezone for scheduled publishing, e.g. Europe/Berlin' }
+};
+
+// Optional argument of every tool that writes entry fields
+const LOCALE_PROPERTIES = {
+  locale: {
+    type: 'string',
+    description: 'Locale plain field values are written to (defaults to the space default locale); any field may instead be a { "<locale>": value } map'
+  }
+};
+
+// Input schema properties of an update_* tool for an editable content type
+function updateToolProperties({ schema, listFields }) {
+  const lists = Object.fromEntries(listFields.map(fieldName => [fieldName, { type: 'array', items: { type: 'string' } }]));
+  
+  return {
+    entryId: { type: 'string', description: 'Contentful entry ID' },
+    fields: { type: 'object', description: `Fields to replace: ${Object.keys(schema.shape).join(', ')}` },
+    append: {
+      type: 'object',
+      description: `Values to add to array fields, e.g. { "${listFields[0]}": ["new"] }`,
+      properties: lists
+    },
+    remove: {
+      type: 'object',
+      description: `Values to remove from array fields, e.g. { "${listFields[0]}": ["old"] }`,
+      properties: lists
+    },
+    expectedVersion: { type: 'number', description: 'Fail if the entry is no longer at this sys.version' }
+  };
+}
+
+// Input schema properties of a delete_* tool
+const DELETE_PROPERTIES = {
+  entryId: { type: 'string', description: 'Contentful entry ID' },
+  archive: { type: 'boolean', description: 'Archive instead of deleting, so the entry can be restored later (default: false)' }
+};
+
+// Field values of create_entry and update_entry
+const ENTRY_FIELDS_INPUT = {
+  type: 'object',
+  description: 'Values by field ID, plain or as { "<locale>": value } maps. Link fields take an ID, { "id": "..." }, ' +
+    '{ "lookup": "<display field value>", "contentType": "<optional ID>" } (assets: their title) or a link object; ' +
+    'arrays of links take a list of these. null clears a field in update_entry'
+};
+
+// Optional arguments every Contentful tool accepts to target another profile or environment
+const TARGET_PROPERTIES = {
+  profile: { type: 'string', description: 'Contentful profile (defaults to the active profile)' },
+  environment: { type: 'string', description: 'Contentful environment ID (defaults to the profile environment)' }
+};
+
+// Input schema of a field definition for create_content_type and add_field
+const CONTENT_FIELD_INPUT = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'Field ID (letters, digits and _)' },
+    name: { type: 'string', description: 'Field name shown in Contentful' },
+    type: { type: 'string', enum: CONTENT_FIELD_TYPES },
+    linkType: { type: 'string', enum: ['Entry', 'Asset'], description: 'For Link fields' },
+    items: {
+      type: 'object',
+      description: 'For Array fields: { type: "Symbol" } or { type: "Link", linkType: "Entry" }, optionally with validations',
+      properties: {
+        type: { type: 'string', enum: ['Symbol', 'Link'] },
+        linkType: { type: 'string', enum: ['Entry', 'Asset'] },
+        validations: { type: 'array', items: { type: 'object' } }
+      },
+      required: ['type']
+    },
+    required: { type: 'boolean', description: 'Needed before entries can be published (default: false)' },
+    localized: { type: 'boolean', description: 'One value per locale (default: false)' },
+    validations: {
+      type: 'array',
+      items: { type: 'object' },
+      description: 'Contentful validations, e.g. { "size": { "max": 160 } }, { "in": ["free", "paid"] }, { "linkContentType": ["aiTool"] }'
+    }
+  },
+  required: ['id', 'name', 'type']
+};
+
+// Longest text diff promote_content and fix_content print before truncating
+const MAX_DIFF_LINES = 200;
+
+// Resource and backup section names and the Contentful content types they hold
+const CONTENT_TYPES = {
+  terms: 'aiTerm',
+  tools: 'aiTool',
+  categories: 'categoryPage'
+};
+
+// Convert a resolved delivery API value into its management API shape
+function toManagementValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(toManagementValue);
+  }
+
+  if (value && typeof value === 'object' && value.sys && value.sys.id) {
+    const linkType = value.sys.type === 'Link' ? value.sys.linkType : value.sys.type;
+    return { sys: { type: 'Link', linkType, id: value.sys.id } };
+  }
+
+  return value;
+}
+
+// Fetch every item of a paginated Contentful collection, following skip/total
+async function fetchAll(getPage, query = {}) {
+  const items = [];
+  let total = 0;
+  do {
+    const page = await getPage({ ...query, skip: items.length, limit: CONTENTFUL_PAGE_LIMIT });
+    items.push(...page.items);
+    total = page.total;
+    if (page.items.length === 0) break;
+  } while (items.length < total);
+  return items;
+}
+
+// Publication state of an entry from its sys metadata
+function entryState(sys) {
+  if (sys.archivedVersion) return 'archived';
+  if (!sys.publishedVersion) return 'draft';
+  if (sys.version > sys.publishedVersion + 1) return 'changed';
+  return 'published';
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Counts stored in a backup manifest
+function summarizeBackup(backup) {
+  const entriesByContentType = {};
+  const entriesByState = {};
+  backup.entries.forEach(entry => {
+    const contentType = entry.sys.contentType.sys.id;
+    const state = entryState(entry.sys);
+    entriesByContentType[contentType] = (entriesByContentType[contentType] || 0) + 1;
+    entriesByState[state] = (entriesByState[state] || 0) + 1;
+  });
+
+  return {
+    locales: backup.locales.length,
+    contentTypes: backup.contentTypes.length,
+    entries: backup.entries.length,
+    assets: backup.assets.length,
+    entriesByContentType,
+    entriesByState
+  };
+}
+
+// Compare every file of a backup directory against its manifest checksums
+async function verifyBackup(backupPath, manifest) {
+  const problems = [];
+  for (const [file, checksum] of Object.entries(manifest.files)) {
+    const filePath = path.join(backupPath, file);
+    if (!await fs.pathExists(filePath)) {
+      problems.push(`${file} missing`);
+    } else if (sha256(await fs.readFile(filePath)) !== checksum) {
+      problems.push(`${file} checksum mismatch`);
+    }
+  }
+  return problems;
+}
+
+// Display name of an entry, regardless of content type
+function entryLabel(fields, locale = 'en-US') {
+  const value = fields.name || fields.term || fields.title;
+  if (value && typeof value === 'object') {
+    return value[locale] || Object.values(value)[0];
+  }
+  return value || '(untitled)';
+}
+
+// Title of an entry from its content type's display field, falling back to the usual title fields
+function displayLabel(fields, contentType, locale) {
+  const value = contentType?.displayField && fields[contentType.displayField];
+  return value === undefined ? entryLabel(fields, locale) : localeValue(value, locale) ?? '(untitled)';
+}
+
+// Readable one-line summary of zod validation issues
+function formatIssues(error, subject = 'arguments') {
+  return error.issues.map(issue => `${issue.path.join('.') || subject} ${issue.message}`).join('; ');
+}
+
+// Names of management API fields whose values differ, optionally only in some locales
+function changedFields(source, target, locales) {
+  return [...new Set([...Object.keys(source), ...Object.keys(target)])]
+    .filter(fieldName => {
+      if (!locales) {
+        return JSON.stringify(source[fieldName]) !== JSON.stringify(target[fieldName]);
+      }
+      return locales.some(locale =>
+        JSON.stringify(source[fieldName]?.[locale]) !== JSON.stringify(target[fieldName]?.[locale])
+      );
+    });
+}
+
+// Replace entry link IDs using a source ID -> target ID map
+function remapLinks(value, idMap) {
+  if (Array.isArray(value)) {
+    return value.map(item => remapLinks(item, idMap));
+  }
+  
+  if (value && typeof value === 'object') {
+    if (value.sys?.type === 'Link' && value.sys.linkType === 'Entry' && idMap.has(value.sys.id)) {
+      return { sys: { ...value.sys, id: idMap.get(value.sys.id) } };
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, remapLinks(item, idMap)]));
+  }
+  
+  return value;
+}
+
+// Parts of a content type definition that matter when comparing environments
+function contentTypeDefinition(contentType) {
+  const { name, description, displayField, fields } = contentType;
+  return { name, description, displayField, fields };
+}
+
+// First setting of one kind among a field's validations, e.g. validationRule(field, 'size') -> { min, max }
+function validationRule(field, key) {
+  return (field.validations || []).find(validation => validation[key] !== undefined)?.[key];
+}
+
+// Zod schema for the values of a content type field, with the validations that can be checked before sending
+function fieldSchema(field) {
+  const size = validationRule(field, 'size');
+  const range = validationRule(field, 'range');
+  const regexp = validationRule(field, 'regexp');
+  const allowed = validationRule(field, 'in');
+  let schema;
+  
+  switch (field.type) {
+    case 'Symbol':
+    case 'Text':
+      schema = z.string();
+      if (size?.min !== undefined) schema = schema.min(size.min);
+      if (size?.max !== undefined) schema = schema.max(size.max);
+      if (regexp) schema = schema.regex(new RegExp(regexp.pattern, regexp.flags || undefined), `must match /${regexp.pattern}/`);
+      break;
+    case 'Integer':
+    case 'Number':
+      schema = field.type === 'Integer' ? z.number().int() : z.number();
+      if (range?.min !== undefined) schema = schema.min(range.min);
+      if (range?.max !== undefined) schema = schema.max(range.max);
+      break;
+    case 'Boolean':
+      schema = z.boolean();
+      break;
+    case 'Date':
+      schema = z.string().refine(value => !Number.isNaN(Date.parse(value)), 'must be an ISO 8601 date');
+      break;
+    case 'Location':
+      schema = z.object({ lat: z.number(), lon: z.number() });
+      break;
+    case 'Link':
+      schema = z.object({ sys: z.object({ type: z.literal('Link'), linkType: z.literal(field.linkType), id: z.string() }) });
+      break;
+    case 'Array':
+      schema = z.array(fieldSchema(field.items));
+      if (size?.min !== undefined) schema = schema.min(size.min);
+      if (size?.max !== undefined) schema = schema.max(size.max);
+      break;
+    case 'RichText':
+      schema = z.object({ nodeType: z.literal('document') }).passthrough();
+      break;
+    default:
+      schema = z.unknown();
+  }
+  return allowed ? schema.refine(value => allowed.includes(value), `must be one of ${allowed.join(', ')}`) : schema;
+}
+
+// Zod schema for one locale's field values of an entry; partial leaves out the required checks,
+// which Contentful only applies when publishing
+function contentTypeSchema(contentType, { partial = false } = {}) {
+  return z.object(Object.fromEntries(contentType.fields.map(field =>
+    [field.id, partial || !field.required ? fieldSchema(field).optional() : fieldSchema(field)]))).strict();
+}
+
+// JSON Schema for the values of a content type field, as used in MCP tool input schemas
+function fieldInputSchema(field) {
+  const size = validationRule(field, 'size');
+  const range = validationRule(field, 'range');
+  const regexp = validationRule(field, 'regexp');
+  const allowed = validationRule(field, 'in');
+  const schema = { description: field.name };
+  
+  switch (field.type) {
+    case 'Symbol':
+    case 'Text':
+      Object.assign(schema, { type: 'string' },
+        size?.min !== undefined && { minLength: size.min },
+        size?.max !== undefined && { maxLength: size.max },
+        regexp && { pattern: regexp.pattern });
+      break;
+    case 'Integer':
+    case 'Number':
+      Object.assign(schema, { type: field.type === 'Integer' ? 'integer' : 'number' },
+        range?.min !== undefined && { minimum: range.min },
+        range?.max !== undefined && { maximum: range.max });
+      break;
+    case 'Boolean':
+      schema.type = 'boolean';
+      break;
+    case 'Date':
+      Object.assign(schema, { type: 'string', format: 'date-time' });
+      break;
+    case 'Location':
+      Object.assign(schema, { type: 'object', properties: { lat: { type: 'number' }, lon: { type: 'number' } }, required: ['lat', 'lon'] });
+      break;
+    case 'Link':
+      Object.assign(schema, { type: 'object', description: `${field.name} (link to an ${field.linkType}: { sys: { type: "Link", linkType: "${field.linkType}", id } })` });
+      break;
+    case 'Array':
+      Object.assign(schema, { type: 'array', items: fieldInputSchema(field.items) },
+        size?.min !== undefined && { minItems: size.min },
+        size?.max !== undefined && { maxItems: size.max });
+      break;
+    default:
+      schema.type = 'object';
+  }
+  if (allowed) schema.enum = allowed;
+  return schema;
+}
+
+function contentTypeInputSchema(contentType) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(contentType.fields.map(field => [field.id, fieldInputSchema(field)])),
+    required: contentType.fields.filter(field => field.required).map(field => field.id)
+  };
+}
+
+// Field type with its link or item type, e.g. Array<Link<Entry>>
+function fieldType(field) {
+  if (field.type === 'Link') return `Link<${field.linkType}>`;
+  if (field.type === 'Array') return `Array<${fieldType(field.items)}>`;
+  return field.type;
+}
+
+function fieldSummary(field) {
+  const flags = [field.required && 'required', field.localized && 'localized', field.disabled && 'disabled', field.omitted && 'omitted']
+    .filter(Boolean);
+  const validations = [...(field.validations || []), ...(field.items?.validations || [])];
+  return `${field.id} "${field.name}": ${fieldType(field)}${flags.length ? `, ${flags.join(', ')}` : ''}` +
+    (validations.length ? ` ${validations.map(validation => JSON.stringify(validation)).join(' ')}` : '');
+}
+
+// Whether two fields take the same kind of value, counting Symbol and Text, or Integer and Number, as one
+function sameFieldKind(a, b) {
+  const kind = field => field.type === 'Array' ? fieldType(field) : ({ Text: 'Symbol', Integer: 'Number' })[field.type] || field.type;
+  return kind(a) === kind(b);
+}
+
+// Tool argument a content type field is passed as: its ID, unless the type maps another argument to it
+function argumentName(fieldId, fieldIds = {}) {
+  return Object.keys(fieldIds).find(key => fieldIds[key] === fieldId) || fieldId;
+}
+
+// A built-in tool schema regenerated from the live content type. Fields and required flags follow
+// Contentful; a field keeps its built-in check (URL format, default) where the built-in schema agrees
+// with the field's type. Built-in fields the content type lacks stay in, so writes name them as unknown.
+function liveEntrySchema(schema, contentType, fieldIds = {}) {
+  const shape = { ...schema.shape };
+  contentType.fields.forEach(field => {
+    const key = argumentName(field.id, fieldIds);
+    const builtIn = schema.shape[key];
+    if (!builtIn || !sameFieldKind(field, contentfulField(field.id, builtIn))) {
+      shape[key] = field.required ? fieldSchema(field) : fieldSchema(field).optional();
+    } else if (field.required && builtIn instanceof z.ZodOptional) {
+      shape[key] = unwrapSchema(builtIn);
+    } else if (!field.required && !builtIn.isOptional()) {
+      shape[key] = builtIn.optional();
+    }
+  });
+  return z.object(shape);
+}
+
+// MCP input schema of a built-in create tool with the entry fields generated from the live content type.
+// Other arguments (locale, publishing, profile) and the hand-written field descriptions are kept.
+function liveInputSchema(schema, contentType, inputSchema, fieldIds = {}) {
+  const generated = contentTypeInputSchema(contentType);
+  const handWritten = inputSchema.properties;
+  const fields = Object.fromEntries(Object.entries(generated.properties).map(([id, property]) => {
+    const key = argumentName(id, fieldIds);
+    return [key, handWritten[key]?.description ? { ...property, description: handWritten[key].description } : property];
+  }));
+  const others = Object.fromEntries(Object.entries(handWritten).filter(([key]) => !(key in schema.shape)));
+  
+  return {
+    ...inputSchema,
+    properties: { ...fields, ...others },
+    // Fields with a built-in default need not be passed
+    required: generated.required
+      .map(id => argumentName(id, fieldIds))
+      .filter(key => !(schema.shape[key] instanceof z.ZodDefault))
+  };
+}
+
+// Where a built-in tool schema and the content type it writes disagree
+function schemaDrift(schema, contentType, fieldIds = {}) {
+  const fields = new Map(contentType.fields.map(field => [field.id, field]));
+  const written = new Set();
+  const issues = [];
+  
+  Object.entries(schema.shape).forEach(([key, valueSchema]) => {
+    const fieldId = fieldIds[key] || key;
+    const field = fields.get(fieldId);
+    const expected = contentfulField(fieldId, valueSchema);
+    written.add(fieldId);
+    if (!field) {
+      issues.push(`${fieldId}: written by the tools, but not a field of the content type`);
+    } else if (!sameFieldKind(field, expected)) {
+      issues.push(`${fieldId}: ${fieldType(field)} in the content type, the tools write ${fieldType(expected)}`);
+    } else if (field.required && !expected.required) {
+      issues.push(`${fieldId}: required in the content type, optional in the tools`);
+    }
+  });
+  contentType.fields
+    .filter(field => field.required && !written.has(field.id))
+    .forEach(field => issues.push(`${field.id}: required in the content type, never written by the tools`));
+  return issues;
+}
+
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Parse RFC 4180 CSV text into objects keyed by the header row
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  const [header = [], ...data] = rows.filter(values => values.some(value => value.trim() !== ''));
+  return data.map(values => Object.fromEntries(header.map((column, i) => [column.trim(), values[i] ?? ''])));
+}
+
+function toCSV(rows, columns) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+function fileFormat(filePath, format) {
+  const resolved = format || path.extname(filePath).slice(1).toLowerCase().replace('yml', 'yaml');
+  if (!['csv', 'json', 'yaml'].includes(resolved)) {
+    throw new Error(`Unsupported file format "${resolved}", use csv, json or yaml`);
+  }
+  return resolved;
+}
+
+// Schema of a field without its optional/default wrappers
+function unwrapSchema(fieldSchema) {
+  let inner = fieldSchema;
+  while (inner instanceof z.ZodOptional || inner instanceof z.ZodDefault) {
+    inner = inner._def.innerType;
+  }
+  return inner;
+}
+
+// Whether a field value is a { locale: value } map rather than a plain value
+function isLocaleMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Value of a plain or locale-mapped field in one locale
+function localeValue(value, locale) {
+  return isLocaleMap(value) ? value[locale] ?? Object.values(value)[0] : value;
+}
+
+// Accept either a plain value or a { locale: value } map for every field of a schema
+function localizable(schema) {
+  return z.object(Object.fromEntries(Object.entries(schema.shape).map(([key, fieldSchema]) =>
+    [key, z.union([fieldSchema, z.record(z.string(), unwrapSchema(fieldSchema))])])));
+}
+
+// Coerce string cells (from CSV) to the array and boolean types a zod schema expects
+function coerceRow(row, schema) {
+  const coerced = {};
+  Object.entries(schema.shape).forEach(([key, fieldSchema]) => {
+    const inner = unwrapSchema(fieldSchema);
+    
+    let value = row[key];
+    if (typeof value === 'string') value = value.trim();
+    
+    // An empty CSV cell is an empty list for required array fields
+    if (value === '' && inner instanceof z.ZodArray && fieldSchema === inner) {
+      coerced[key] = [];
+      return;
+    }
+    if (value === undefined || value === null || value === '') return;
+    
+    if (inner instanceof z.ZodArray && typeof value === 'string') {
+      value = value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    } else if (inner instanceof z.ZodBoolean && typeof value === 'string') {
+      value = ['true', 'yes', '1'].includes(value.toLowerCase());
+    }
+    coerced[key] = value;
+  });
+  return coerced;
+}
+
+// Escape text for XML element content
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// URL slug of a delivery API entry: its slug field, or its slugified name
+function entrySlug(fields) {
+  return fields.slug || slugify(fields.name || fields.term || fields.title || '');
+}
+
+// <urlset> document for a list of { loc, lastmod } URLs
+function sitemapXml(urls) {
+  const entries = urls.map(({ loc, lastmod }) =>
+    `  <url>\n    <loc>${escapeXml(loc)}</loc>${lastmod ? `\n    <lastmod>${lastmod}</lastmod>` : ''}\n  </url>`);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${entries.join('\n')}\n</urlset>\n`;
+}
+
+// schema.org JSON-LD for a tool or term page, or null for other content types
+function structuredData(contentType, fields, { url, siteUrl, glossaryUrl }) {
+  switch (contentType) {
+    case 'aiTool':
+      return {
+        '@context': 'https://schema.org',
+        '@type': 'SoftwareApplication',
+        name: fields.name,
+        description: fields.metaDescription || fields.description,
+        url,
+        sameAs: fields.website,
+        applicationCategory: fields.category,
+        operatingSystem: 'Web',
+        ...(fields.logoUrl && { image: new URL(fields.logoUrl, siteUrl).href }),
+        ...(fields.tags?.length && { keywords: fields.tags.join(', ') }),
+        ...(fields.features?.length && { featureList: fields.features }),
+        // Only free tools have a price we know
+        ...(fields.pricing === 'free' && { offers: { '@type': 'Offer', price: '0', priceCurrency: 'USD' } })
+      };
+    case 'aiTerm':
+      return {
+        '@context': 'https://schema.org',
+        '@type': 'DefinedTerm',
+        name: fields.term,
+        description: fields.metaDescription || fields.definition,
+        url,
+        inDefinedTermSet: { '@type': 'DefinedTermSet', name: 'AI Glossary', url: glossaryUrl }
+      };
+    default:
+      return null;
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Keys that would reach Object.prototype instead of the document
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function checkSafeKey(key, where) {
+  if (UNSAFE_KEYS.has(key)) throw new Error(`Invalid key "${key}" in ${where}`);
+}
+
+// Merge objects key by key; arrays and other values replace what was there
+function deepMerge(target, source) {
+  if (!isPlainObject(target) || !isPlainObject(source)) return structuredClone(source);
+  const merged = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    checkSafeKey(key, 'merge');
+    merged[key] = deepMerge(Object.hasOwn(target, key) ? target[key] : undefined, value);
+  });
+  return merged;
+}
+
+// JSON Pointer ("/nav/items/0") to its unescaped keys
+function parsePointer(pointer) {
+  if (!pointer.startsWith('/')) {
+    throw new Error(`Invalid path "${pointer}": use a JSON Pointer such as /features/darkMode`);
+  }
+  const keys = pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+  keys.forEach(key => checkSafeKey(key, `path "${pointer}"`));
+  return keys;
+}
+
+const toPointer = keys => keys.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+
+// Apply set, unset and append operations to a copy of a JSON document.
+// set creates missing parent objects; unset of a missing path is an error so typos surface.
+function applyJsonOperations(document, operations) {
+  const result = structuredClone(document);
+  
+  operations.forEach(({ op, path: pointer, value }) => {
+    const keys = parsePointer(pointer);
+    const last = keys.pop();
+    let parent = result;
+    
+    keys.forEach((key, depth) => {
+      if (!Object.hasOwn(parent, key)) {
+        if (op === 'unset') throw new Error(`unset ${pointer}: ${toPointer(keys.slice(0, depth + 1))} does not exist`);
+        parent[key] = {};
+      }
+      parent = parent[key];
+      if (parent === null || typeof parent !== 'object') {
+        throw new Error(`${op} ${pointer}: ${toPointer(keys.slice(0, depth + 1))} is not an object or array`);
+      }
+    });
+    
+    const index = Array.isArray(parent) && op !== 'append' ? Number(last) : last;
+    if (Array.isArray(parent) && op !== 'append' &&
+      !(/^(0|[1-9]\d*)$/.test(last) && index <= parent.length - (op === 'unset' ? 1 : 0))) {
+      throw new Error(`${op} ${pointer}: ${last} is not an index of ${toPointer(keys) || 'the array'}`);
+    }
+    
+    switch (op) {
+      case 'set':
+        parent[index] = structuredClone(value);
+        break;
+      case 'unset':
+        if (!Object.hasOwn(parent, index)) throw new Error(`unset ${pointer}: path does not exist`);
+        if (Array.isArray(parent)) parent.splice(index, 1);
+        else delete parent[index];
+        break;
+      case 'append':
+        if (!Object.hasOwn(parent, last)) parent[last] = [];
+        if (!Array.isArray(parent[last])) throw new Error(`append ${pointer}: not an array`);
+        parent[last].push(structuredClone(value));
+        break;
+    }
+  });
+  return result;
+}
+
+// Changed leaves between two JSON documents as "+ /path", "- /path" and "~ /path" lines
+function jsonDiff(before, after, keys = []) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  const pointer = toPointer(keys) || '/';
+  
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  if (!bothArrays && !(isPlainObject(before) && isPlainObject(after))) {
+    if (before === undefined) return [`+ ${pointer}: ${JSON.stringify(after)}`];
+    if (after === undefined) return [`- ${pointer}: ${JSON.stringify(before)}`];
+    return [`~ ${pointer}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`];
+  }
+  
+  const childKeys = bothArrays
+    ? [...Array(Math.max(before.length, after.length)).keys()]
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return childKeys.flatMap(key => jsonDiff(before[key], after[key], [...keys, key]));
+}
+
+// Problems with a site config according to the site's JSON Schema, or null when the site ships none.
+// The schema's $schema picks the draft (2019-09, 2020-12, otherwise draft-07). Strict mode is off so
+// keywords other tools add, such as examples or x-* annotations, don't make the schema invalid.
+async function siteConfigErrors(config) {
+  if (!await fs.pathExists(SITE_CONFIG_SCHEMA_FILE)) return null;
+  
+  let validate;
+  try {
+    const schema = await fs.readJson(SITE_CONFIG_SCHEMA_FILE);
+    const Validator = /2020-12/.test(schema.$schema) ? Ajv2020 : /2019-09/.test(schema.$schema) ? Ajv2019 : Ajv;
+    validate = addFormats(new Validator({ allErrors: true, strict: false })).compile(schema);
+  } catch (error) {
+    throw new Error(`Invalid schema ${path.basename(SITE_CONFIG_SCHEMA_FILE)}: ${error.message}`);
+  }
+  if (validate(config)) return [];
+  
+  return validate.errors.map(error => {
+    const detail = error.params?.additionalProperty || error.params?.missingProperty || error.params?.allowedValues?.join(', ');
+    return `${error.instancePath || '/'} ${error.message}${detail && error.keyword !== 'required' ? ` (${detail})` : ''}`;
+  });
+}
+
+// One-line summary of a delivery API entry for search results
+function summarizeEntry(entry) {
+  const { fields, sys } = entry;
+  const contentType = sys.contentType.sys.id;
+  const updated = sys.updatedAt?.split('T')[0];
+  
+  switch (contentType) {
+    case 'aiTool':
+      return `[${contentType}] ${sys.id} "${fields.name}" (${fields.category}, ${fields.pricing})` +
+        `${fields.tags?.length ? ` #${fields.tags.join(' #')}` : ''} - updated ${updated}`;
+    case 'aiTerm':
+      return `[${contentType}] ${sys.id} "${fields.term}" (${fields.category}) - updated ${updated}`;
+    case 'categoryPage':
+      return `[${contentType}] ${sys.id} "${fields.title}" /${fields.slug} - updated ${updated}`;
+    default:
+      return `[${contentType}] ${sys.id} "${entryLabel(fields)}" - updated ${updated}`;
+  }
+}
+
+// Audit severities, most severe first
+const AUDIT_SEVERITIES = ['error', 'warning', 'info'];
+
+// Whether an audited field has no usable value
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Dice coefficient of the character bigrams of two strings, 1 for identical strings
+function similarity(first, second) {
+  const bigrams = value => Array.from({ length: Math.max(value.length - 1, 0) }, (_, i) => value.slice(i, i + 2));
+  const left = bigrams(first);
+  const right = bigrams(second);
+  if (left.length === 0 || right.length === 0) return first === second ? 1 : 0;
+  
+  const counts = new Map();
+  left.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+  let overlap = 0;
+  right.forEach(gram => {
+    if (counts.get(gram) > 0) {
+      overlap++;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  });
+  return (2 * overlap) / (left.length + right.length);
+}
+
+// Host of a website URL without "www.", or null when it is not a URL
+function websiteHost(value) {
+  try {
+    return new URL(value).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+// Key that spellings of the same tag share: case, punctuation and a plural "s" are ignored
+function tagKey(tag) {
+  const key = slugify(tag).replace(/-/g, '');
+  return key.length > 3 ? key.replace(/s$/, '') : key;
+}
+
+// Spelling each tag should have, by tagKey: the tag vocabulary's spelling, otherwise the
+// most used one. Ties go to the spelling that sorts first, so the result doesn't depend on
+// the order entries were fetched in. tag-drift reports what tag-casing fixes, so both use it.
+function canonicalTagSpellings(tagLists, vocabulary = []) {
+  const usage = new Map();
+  tagLists.forEach(tags => (tags || []).forEach(tag => {
+    const spellings = usage.get(tagKey(tag)) || new Map();
+    spellings.set(tag, (spellings.get(tag) || 0) + 1);
+    usage.set(tagKey(tag), spellings);
+  }));
+  const canonical = new Map([...usage].map(([key, spellings]) =>
+    [key, [...spellings].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))[0][0]]));
+  vocabulary.forEach(tag => canonical.set(tagKey(tag), tag));
+  return canonical;
+}
+
+/**
+ * Content audit rules. Each rule has a default severity and options, which the
+ * audit config file or the rules argument of validate_content can override, and
+ * a check that calls report(section, entry, message) for every issue it finds.
+ */
+const AUDIT_RULES = {
+  'required-fields': {
+    severity: 'error',
+    description: 'Required fields are empty',
+    options: {
+      fields: {
+        tools: ['name', 'description', 'website', 'category'],
+        terms: ['term', 'definition', 'category'],
+        categories: ['title', 'slug', 'description', 'filterBy']
+      }
+    },
+    check(content, options, report) {
+      Object.entries(options.fields).forEach(([section, fieldNames]) => {
+        (content[section] || []).forEach(entry => {
+          const missing = fieldNames.filter(fieldName => isBlank(entry.fields[fieldName]));
+          if (missing.length > 0) report(section, entry, `missing ${missing.join(', ')}`);
+        });
+      });
+    }
+  },
+  
+  'description-length': {
+    severity: 'warning',
+    description: 'Descriptions are too short or too long',
+    options: {
+      min: 50,
+      max: 500,
+      fields: { tools: 'description', terms: 'definition', categories: 'description' }
+    },
+    check(content, options, report) {
+      Object.entries(options.fields).forEach(([section, fieldName]) => {
+        (content[section] || []).forEach(entry => {
+          const value = entry.fields[fieldName];
+          if (isBlank(value)) return;
+          const length = String(value).trim().length;
+          if (length < options.min) {
+            report(section, entry, `${fieldName} is ${length} characters (minimum ${options.min})`);
+          } else if (length > options.max) {
+            report(section, entry, `${fieldName} is ${length} characters (maximum ${options.max})`);
+          }
+        });
+      });
+    }
+  },
+  
+  'duplicate-names': {
+    severity: 'error',
+    description: 'Several entries share a name or slug',
+    options: {
+      fields: { tools: ['name'], terms: ['term'], categories: ['title', 'slug'] }
+    },
+    check(content, options, report) {
+      Object.entries(options.fields).forEach(([section, fieldNames]) => {
+        fieldNames.forEach(fieldName => {
+          const groups = new Map();
+          (content[section] || []).forEach(entry => {
+            const value = entry.fields[fieldName];
+            if (isBlank(value)) return;
+            const key = slugify(value);
+            groups.set(key, [...(groups.get(key) || []), entry]);
+          });
+          
+          groups.forEach(entries => {
+            if (entries.length < 2) return;
+            entries.forEach(entry => {
+              const others = entries.filter(other => other !== entry).map(other => other.sys.id);
+              report(section, entry, `${fieldName} "${entry.fields[fieldName]}" is also used by ${others.join(', ')}`);
+            });
+          });
+        });
+      });
+    }
+  },
+  
+  'near-duplicate-tools': {
+    severity: 'warning',
+    description: 'Tools with very similar names or the same website',
+    options: { threshold: 0.85 },
+    check(content, options, report) {
+      const tools = (content.tools || []).map(entry => ({
+        entry,
+        slug: slugify(entry.fields.name || ''),
+        key: slugify(entry.fields.name || '').replace(/-/g, ''),
+        host: websiteHost(entry.fields.website)
+      }));
+      
+      tools.forEach((tool, index) => {
+        tools.slice(0, index).forEach(other => {
+          const reasons = [];
+          // Identical names are reported by duplicate-names
+          const score = tool.slug !== other.slug ? similarity(tool.key, other.key) : 0;
+          if (score >= options.threshold) reasons.push(`names ${Math.round(score * 100)}% similar`);
+          if (tool.host && tool.host === other.host) reasons.push(`same website ${tool.host}`);
+          
+          if (reasons.length > 0) {
+            report('tools', tool.entry, `looks like "${entryLabel(other.entry.fields)}" (${other.entry.sys.id}): ${reasons.join(', ')}`);
+          }
+        });
+      });
+    }
+  },
+  
+  'broken-related-terms': {
+    severity: 'warning',
+    description: 'relatedTerms name terms that do not exist',
+    options: {},
+    check(content, options, report) {
+      const terms = new Set((content.terms || []).map(entry => slugify(entry.fields.term || '')));
+      (content.terms || []).forEach(entry => {
+        const missing = (entry.fields.relatedTerms || []).filter(name => !terms.has(slugify(name)));
+        if (missing.length > 0) report('terms', entry, `related terms not found: ${missing.join(', ')}`);
+      });
+    }
+  },
+  
+  'empty-category-filters': {
+    severity: 'warning',
+    description: 'Category page filter values that match no tools',
+    options: {},
+    check(content, options, report) {
+      const tools = content.tools || [];
+      (content.categories || []).forEach(entry => {
+        const { filterBy, filterValues = [] } = entry.fields;
+        if (isBlank(filterBy)) return;
+        if (!(filterBy in ToolSchema.shape)) {
+          report('categories', entry, `filterBy "${filterBy}" is not an AI tool field`);
+          return;
+        }
+        
+        const matches = value => tools.some(tool => [].concat(tool.fields[filterBy] ?? [])
+          .some(toolValue => String(toolValue).toLowerCase() === String(value).toLowerCase()));
+        const unmatched = filterValues.filter(value => !matches(value));
+        if (unmatched.length > 0) {
+          const empty = unmatched.length === filterValues.length ? ' (the page lists no tools)' : '';
+          report('categories', entry, `filterValues match no tools: ${unmatched.join(', ')}${empty}`);
+        }
+      });
+    }
+  },
+  
+  'orphaned-categories': {
+    severity: 'info',
+    description: 'Tool categories that no category page lists',
+    options: {},
+    check(content, options, report) {
+      const listed = new Set((content.categories || [])
+        .filter(entry => entry.fields.filterBy === 'category')
+        .flatMap(entry => entry.fields.filterValues || [])
+        .map(value => String(value).toLowerCase()));
+      
+      const orphans = new Map();
+      (content.tools || []).forEach(entry => {
+        const category = entry.fields.category;
+        if (isBlank(category) || listed.has(String(category).toLowerCase())) return;
+        orphans.set(category, [...(orphans.get(category) || []), entry]);
+      });
+      
+      orphans.forEach((entries, category) => {
+        report('tools', null, `category "${category}" has no category page (${entries.length} tool(s): ${entries.map(entry => entry.sys.id).join(', ')})`);
+      });
+    }
+  },
+  
+  'stale-content': {
+    severity: 'info',
+    description: 'Entries not updated for a long time',
+    options: { days: 180 },
+    check(content, options, report) {
+      const cutoff = Date.now() - options.days * 24 * 60 * 60 * 1000;
+      Object.keys(CONTENT_TYPES).forEach(section => {
+        (content[section] || []).forEach(entry => {
+          const updatedAt = Date.parse(entry.sys.updatedAt);
+          if (updatedAt < cutoff) {
+            const days = Math.floor((Date.now() - updatedAt) / (24 * 60 * 60 * 1000));
+            report(section, entry, `not updated for ${days} days (since ${entry.sys.updatedAt.split('T')[0]})`);
+          }
+        });
+      });
+    }
+  },
+  
+  'tag-drift': {
+    severity: 'warning',
+    description: 'Tags spelled several ways or outside the tag vocabulary',
+    options: { vocabulary: [] },
+    check(content, options, report) {
+      const tools = content.tools || [];
+      const vocabulary = new Set(options.vocabulary.map(tagKey));
+      const canonical = canonicalTagSpellings(tools.map(entry => entry.fields.tags), options.vocabulary);
+      
+      tools.forEach(entry => {
+        (entry.fields.tags || []).forEach(tag => {
+          const key = tagKey(tag);
+          if (vocabulary.size > 0 && !vocabulary.has(key)) {
+            report('tools', entry, `tag "${tag}" is not in the tag vocabulary`);
+          } else if (tag !== canonical.get(key)) {
+            report('tools', entry, `tag "${tag}" should be "${canonical.get(key)}"`);
+          }
+        });
+      });
+    }
+  }
+};
+
+/**
+ * Mechanical fixes fix_content can apply, in the order they run. Each fix gets
+ * one locale's field values of an entry and returns the fields it changes.
+ */
+const CONTENT_FIXES = {
+  'trim-whitespace': {
+    description: 'Trim whitespace around text and list values and drop empty list items',
+    contentTypes: ['aiTool', 'aiTerm', 'categoryPage'],
+    fix(fields) {
+      const changes = {};
+      Object.entries(fields).forEach(([fieldName, value]) => {
+        if (typeof value === 'string' && value.trim() !== value) {
+          changes[fieldName] = value.trim();
+        } else if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+          const trimmed = value.map(item => item.trim()).filter(Boolean);
+          if (JSON.stringify(trimmed) !== JSON.stringify(value)) changes[fieldName] = trimmed;
+        }
+      });
+      return changes;
+    }
+  },
+  
+  'tag-casing': {
+    description: 'Spell every tag the way tag-drift expects (the tag vocabulary or the most used spelling) and drop duplicate tags',
+    contentTypes: ['aiTool'],
+    fix(fields, { tagSpellings }) {
+      if (!Array.isArray(fields.tags)) return {};
+      const tags = [...new Set(fields.tags.map(tag => tagSpellings.get(tagKey(tag)) || tag))];
+      return JSON.stringify(tags) !== JSON.stringify(fields.tags) ? { tags } : {};
+    }
+  },
+  
+  'category-slug': {
+    description: 'Slugify category page slugs, deriving missing ones from the title',
+    contentTypes: ['categoryPage'],
+    fix(fields) {
+      const slug = slugify(fields.slug || fields.title || '');
+      return slug && slug !== fields.slug ? { slug } : {};
+    }
+  },
+  
+  'dedupe-features': {
+    description: 'Remove repeated tool features, ignoring case',
+    contentTypes: ['aiTool'],
+    fix(fields) {
+      if (!Array.isArray(fields.features)) return {};
+      const seen = new Set();
+      const features = fields.features.filter(feature => {
+        const key = String(feature).trim().toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      return features.length !== fields.features.length ? { features } : {};
+    }
+  },
+  
+  'https-websites': {
+    description: 'Rewrite http:// website and logo URLs to https://',
+    contentTypes: ['aiTool'],
+    fix(fields) {
+      const changes = {};
+      ['website', 'logoUrl'].forEach(fieldName => {
+        const value = fields[fieldName];
+        if (typeof value === 'string' && /^http:\/\//i.test(value)) {
+          changes[fieldName] = value.replace(/^http:\/\//i, 'https://');
+        }
+      });
+      return changes;
+    }
+  },
+  
+  'dangling-related-terms': {
+    description: 'Remove relatedTerms that name no existing term',
+    contentTypes: ['aiTerm'],
+    fix(fields, { termNames }) {
+      if (!Array.isArray(fields.relatedTerms)) return {};
+      const relatedTerms = fields.relatedTerms.filter(name => termNames.has(slugify(name)));
+      return relatedTerms.length !== fields.relatedTerms.length ? { relatedTerms } : {};
+    }
+  }
+};
+
+/**
+ * SEO audit rules for audit_seo, configured under "seoRules" in the audit
+ * config file. Entries marked noindex are left out of every rule.
+ */
+const SEO_AUDIT_RULES = {
+  'seo-missing': {
+    severity: 'warning',
+    description: 'Entries without a meta title, meta description or slug',
+    options: {
+      fields: {
+        tools: ['metaTitle', 'metaDescription', 'slug'],
+        terms: ['metaTitle', 'metaDescription', 'slug'],
+        categories: ['metaTitle', 'metaDescription', 'slug']
+      }
+    },
+    check: (content, options, report) => AUDIT_RULES['required-fields'].check(content, options, report)
+  },
+  
+  'seo-length': {
+    severity: 'warning',
+    description: 'Meta titles and descriptions outside the lengths search engines display',
+    options: { titleMax: 60, descriptionMin: 50, descriptionMax: 160 },
+    check(content, options, report) {
+      Object.keys(CONTENT_TYPES).forEach(section => {
+        (content[section] || []).forEach(entry => {
+          const { metaTitle, metaDescription } = entry.fields;
+          if (!isBlank(metaTitle) && metaTitle.length > options.titleMax) {
+            report(section, entry, `metaTitle is ${metaTitle.length} characters (maximum ${options.titleMax})`);
+          }
+          if (isBlank(metaDescription)) return;
+          if (metaDescription.length < options.descriptionMin) {
+            report(section, entry, `metaDescription is ${metaDescription.length} characters (minimum ${options.descriptionMin})`);
+          } else if (metaDescription.length > options.descriptionMax) {
+            report(section, entry, `metaDescription is ${metaDescription.length} characters (maximum ${options.descriptionMax})`);
+          }
+        });
+      });
+    }
+  },
+  
+  'duplicate-meta': {
+    severity: 'warning',
+    description: 'Meta titles or descriptions shared by several entries or equal to the site default',
+    options: { fields: ['metaTitle', 'metaDescription'] },
+    check(content, options, report) {
+      const entries = Object.keys(CONTENT_TYPES).flatMap(section =>
+        (content[section] || []).map(entry => ({ section, entry })));
+      
+      options.fields.forEach(fieldName => {
+        const siteDefault = { metaTitle: content.site?.title, metaDescription: content.site?.description }[fieldName];
+        const groups = new Map();
+        entries.forEach(item => {
+          const value = item.entry.fields[fieldName];
+          if (isBlank(value)) return;
+          const key = value.trim().toLowerCase();
+          groups.set(key, [...(groups.get(key) || []), item]);
+        });
+        
+        groups.forEach((items, key) => {
+          const isDefault = !isBlank(siteDefault) && siteDefault.trim().toLowerCase() === key;
+          if (items.length < 2 && !isDefault) return;
+          items.forEach(({ section, entry }) => {
+            const others = items.filter(other => other.entry !== entry).map(other => other.entry.sys.id);
+            report(section, entry, `${fieldName} is ${[
+              isDefault && 'the site-wide default',
+              others.length && `also used by ${others.join(', ')}`
+            ].filter(Boolean).join(' and ')}`);
+          });
+        });
+      });
+    }
+  },
+  
+  'slug-collisions': {
+    severity: 'error',
+    description: 'Entries of one content type sharing a slug',
+    options: {},
+    check: (content, options, report) => AUDIT_RULES['duplicate-names'].check(content, {
+      fields: { tools: ['slug'], terms: ['slug'], categories: ['slug'] }
+    }, report)
+  },
+  
+  'slug-format': {
+    severity: 'warning',
+    description: 'Slugs that are not lowercase URL slugs',
+    options: {},
+    check(content, options, report) {
+      Object.keys(CONTENT_TYPES).forEach(section => {
+        (content[section] || []).forEach(entry => {
+          const { slug } = entry.fields;
+          if (!isBlank(slug) && slug !== slugify(slug)) {
+            report(section, entry, `slug "${slug}" should be "${slugify(slug)}"`);
+          }
+        });
+      });
+    }
+  }
+};
+
+// Setting of one audit rule: true/false to enable or disable it, or severity and option overrides
+const AuditRuleSettingSchema = z.union([
+  z.boolean(),
+  z.object({
+    enabled: z.boolean().optional(),
+    severity: z.enum(AUDIT_SEVERITIES).optional()
+  }).passthrough()
+]);
+
+const AuditSchema = z.object({
+  contentType: z.enum(['tools', 'terms', 'categories', 'all']).default('all'),
+  format: z.enum(['text', 'json']).default('text'),
+  minSeverity: z.enum(AUDIT_SEVERITIES).default('info'),
+  limit: z.number().int().min(1).default(20),
+  rules: z.record(z.string(), AuditRuleSettingSchema).optional()
+});
+
+// Effective rules of a rule table from its defaults, the audit config file and per-call overrides
+function resolveAuditRules(ruleTable, ...overrides) {
+  const rules = Object.fromEntries(Object.entries(ruleTable).map(([id, rule]) =>
+    [id, { id, enabled: true, severity: rule.severity, options: { ...rule.options } }]));
+  
+  overrides.filter(Boolean).forEach(settings => {
+    Object.entries(settings).forEach(([id, setting]) => {
+      if (!rules[id]) {
+        throw new Error(`Unknown audit rule "${id}". Available rules: ${Object.keys(ruleTable).join(', ')}`);
+      }
+      if (typeof setting === 'boolean') {
+        rules[id].enabled = setting;
+        return;
+      }
+      const { enabled, severity, ...options } = setting;
+      if (enabled !== undefined) rules[id].enabled = enabled;
+      if (severity) rules[id].severity = severity;
+      Object.assign(rules[id].options, options);
+    });
+  });
+  return Object.values(rules);
+}
+
+// Rule settings under one key ("rules" or "seoRules") of the audit config file (JSON or YAML), if there is one
+function loadAuditConfig(key = 'rules') {
+  if (!fs.pathExistsSync(CONTENT_AUDIT_FILE)) return {};
+  
+  const config = yaml.parse(fs.readFileSync(CONTENT_AUDIT_FILE, 'utf8')) || {};
+  const parsed = z.record(z.string(), AuditRuleSettingSchema).safeParse(config[key] || {});
+  if (!parsed.success) {
+    throw new Error(`Invalid audit config ${CONTENT_AUDIT_FILE}: ${formatIssues(parsed.error, key)}`);
+  }
+  return parsed.data;
+}
+
+// Tools that change neither content nor site files; read-only mode offers only these.
+// check_links still keeps its cache of link results next to the server
+const READ_ONLY_TOOLS = [
+  'list_drafts', 'search_content', 'list_ai_tools', 'audit_seo', 'validate_content', 'check_links',
+  'list_backups', 'contentful_diagnostics', 'list_profiles', 'switch_profile',
+  'translation_status', 'view_audit_log', 'describe_content_model', 'get_entry', 'query_entries'
+];
+
+// Tools that delete or overwrite content or config; unless the policy says otherwise they need confirm: true
+const CONFIRM_TOOLS = [
+  'delete_ai_tool', 'delete_ai_term', 'delete_category_page', 'delete_entry', 'archive_entry', 'import_content', 'fix_content',
+  'restore_content', 'promote_content', 'update_site_config', 'revert_site_config', 'undo_change'
+];
+
+// Tools that only preview their changes unless called with dryRun: false
+const DRY_RUN_TOOLS = [
+  'update_seo_config', 'add_seo_fields', 'fix_content', 'restore_content', 'promote_content', 'undo_change',
+  'update_site_config', 'revert_site_config', 'create_content_type', 'add_field'
+];
+
+const ToolPolicySchema = z.object({
+  readOnly: z.boolean().default(false),
+  // Only these tools are offered; all of them when left out
+  enabledTools: z.array(z.string()).optional(),
+  disabledTools: z.array(z.string()).default([]),
+  confirmTools: z.array(z.string()).default(CONFIRM_TOOLS),
+  // Content type IDs whose entries may be created or changed; all when left out
+  writableContentTypes: z.array(z.string()).optional(),
+  // Glob patterns, relative to the site root, of the files tools may write; anything under the site root when left out
+  writablePaths: z.array(z.string()).optional()
+}).strict();
+
+/**
+ * Which tools are offered and callable, which need an explicit confirm: true, and which
+ * content types and site files they may write. Without a policy file every tool is enabled
+ * and only the CONFIRM_TOOLS need confirming.
+ */
+class ToolPolicy {
+  constructor(settings, { readOnly = false, toolNames } = {}) {
+    const policy = ToolPolicySchema.parse(settings);
+    if (toolNames) {
+      const unknown = [...(policy.enabledTools || []), ...policy.disabledTools, ...policy.confirmTools]
+        .filter(name => !toolNames.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown tool(s): ${[...new Set(unknown)].join(', ')}`);
+      }
+    }
+    
+    this.toolNames = toolNames;
+    this.readOnly = readOnly || policy.readOnly;
+    this.enabledTools = policy.enabledTools;
+    this.disabledTools = policy.disabledTools;
+    this.confirmTools = policy.confirmTools;
+    this.writableContentTypes = policy.writableContentTypes;
+    this.writablePaths = policy.writablePaths;
+  }
+  
+  // Policy from a JSON or YAML file; the defaults if there is none
+  static load(file, options) {
+    const settings = fs.pathExistsSync(file) ? yaml.parse(fs.readFileSync(file, 'utf8')) || {} : {};
+    try {
+      return new ToolPolicy(settings, options);
+    } catch (error) {
+      throw new Error(`Invalid tool policy ${file}: ${error instanceof z.ZodError ? formatIssues(error, 'policy') : error.message}`);
+    }
+  }
+  
+  // Why a tool may not be called, or null if it may; unknown tools are left to fail as such
+  denial(name) {
+    if (this.toolNames && !this.toolNames.includes(name)) return null;
+    if (this.enabledTools && !this.enabledTools.includes(name)) return 'not enabled by the tool policy';
+    if (this.disabledTools.includes(name)) return 'disabled by the tool policy';
+    if (this.readOnly && !READ_ONLY_TOOLS.includes(name)) return 'not available in read-only mode';
+    return null;
+  }
+  
+  // Previews never need confirming
+  needsConfirm(name, args = {}) {
+    const dryRun = args.dryRun === true || (DRY_RUN_TOOLS.includes(name) && args.dryRun !== false);
+    return this.confirmTools.includes(name) && !dryRun;
+  }
+  
+  // The tool definitions clients get to see, with a confirm argument where one is needed
+  advertise(tools) {
+    return tools
+      .filter(tool => !this.denial(tool.name))
+      .map(tool => !this.confirmTools.includes(tool.name) ? tool : {
+        ...tool,
+        inputSchema: {
+          ...tool.inputSchema,
+          properties: {
+            ...tool.inputSchema.properties,
+            confirm: { type: 'boolean', description: 'Must be true to make the changes (not needed for dry runs)' }
+          }
+        }
+      });
+  }
+  
+  checkContentType(contentTypeId) {
+    if (this.readOnly) {
+      throw new Error('Writes are disabled in read-only mode');
+    }
+    if (this.writableContentTypes && !this.writableContentTypes.includes(contentTypeId)) {
+      throw new Error(`The tool policy does not allow writing ${contentTypeId} content (writable: ${this.writableContentTypes.join(', ') || 'none'})`);
+    }
+  }
+  
+  checkPath(filePath) {
+    if (this.readOnly) {
+      throw new Error('Writes are disabled in read-only mode');
+    }
+    if (!isInsideSiteRoot(filePath)) {
+      throw new Error(`Cannot write ${filePath}: it is outside the site root`);
+    }
+    
+    const relativePath = path.relative(SITE_ROOT, filePath);
+    if (this.writablePaths && !this.writablePaths.some(pattern => minimatch(relativePath.split(path.sep).join('/'), pattern, { dot: true }))) {
+      throw new Error(`The tool policy does not allow writing ${relativePath} (writable: ${this.writablePaths.join(', ') || 'none'})`);
+    }
+  }
+}
+
+class SiteManagementServer {
+  // options.fetch replaces the global fetch for link checks, e.g. in tests
+  constructor(options = {}) {
+    this.server = new Server(
+      {
+        name: 'ai-liftoff-site-management',
+        version: '1.0.0'
+      },
+      {
+        capabilities: {
+          resources: {},
+          tools: {}
+        }
+      }
+    );
+
+    const { profiles, defaultProfile } = loadProfiles();
+    this.profiles = profiles;
+    this.activeProfile = defaultProfile;
+    this.activeEnvironment = null;
+    this.targets = new Map();
+    this.linkChecker = new LinkChecker({
+      fetch: options.fetch || globalThis.fetch,
+      concurrency: LINK_CHECK_CONCURRENCY,
+      timeout: LINK_CHECK_TIMEOUT,
+      cacheFile: LINK_CHECK_CACHE_FILE,
+      cacheTtl: LINK_CHECK_CACHE_HOURS * 60 * 60 * 1000
+    });
+    this.github = new GitHubClient({
+      fetch: options.fetch || globalThis.fetch,
+      apiUrl: GITHUB_API_URL,
+      token: GITHUB_TOKEN,
+      timeout: GITHUB_TIMEOUT,
+      cacheFile: GITHUB_CACHE_FILE
+    });
+    this.policy = ToolPolicy.load(TOOL_POLICY_FILE, {
+      readOnly: READ_ONLY,
+      toolNames: this.toolDefinitions().map(tool => tool.name)
+    });
+
+    this.setupHandlers();
+  }
+
+  setupHandlers() {
+    // Resources handler
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return {
+        resources: [
+          {
+            uri: 'contentful://tools',
+            mimeType: 'application/json',
+            name: 'AI Tools from Contentful',
+            description: 'Paged list of AI tools in Contentful CMS (?page=N&pageSize=M&locale=L)'
+          },
+          {
+            uri: 'contentful://terms',
+            mimeType: 'application/json',
+            name: 'AI Terms from Contentful',
+            description: 'Paged list of AI terminology in Contentful CMS (?page=N&pageSize=M&locale=L)'
+          },
+          {
+            uri: 'contentful://categories',
+            mimeType: 'application/json',
+            name: 'Categories from Contentful',
+            description: 'Paged list of categories in Contentful CMS (?page=N&pageSize=M&locale=L)'
+          },
+          {
+            uri: 'file://site-config',
+            mimeType: 'application/json',
+            name: 'Site Configuration',
+            description: 'Current site configuration and settings'
+          },
+          {
+            uri: 'file://seo-config',
+            mimeType: 'application/json',
+            name: 'SEO Configuration',
+            description: 'SEO meta tags and configuration'
+          },
+          {
+            uri: 'file://mock-data',
+            mimeType: 'application/json',
+            name: 'Mock Data',
+            description: 'Fallback mock data for development'
+          }
+        ]
+      };
+    });
+
+    // Resource templates handler
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: Object.keys(CONTENT_TYPES).map(resourceType => ({
+          uriTemplate: `contentful://${resourceType}{?page,pageSize,locale,profile,environment}`,
+          mimeType: 'application/json',
+          name: `Paged ${resourceType} from Contentful`,
+          description: `One page of ${resourceType} (default pageSize: ${RESOURCE_PAGE_SIZE}, max: ${CONTENTFUL_PAGE_LIMIT}; locale=* returns every locale)`
+        }))
+      };
+    });
+
+    // Read resource handler
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      
+      try {
+        if (uri.startsWith('contentful://')) {
+          return await this.readContentfulResource(uri);
+        } else if (uri.startsWith('file://')) {
+          return await this.readFileResource(uri);
+        } else {
+          throw new McpError(ErrorCode.InvalidRequest, `Unknown resource URI: ${uri}`);
+        }
+      } catch (error) {
+        throw new McpError(ErrorCode.InternalError, `Failed to read resource: ${error.message}`);
+      }
+    });
+
+    // Tools handler, offering only what the tool policy allows
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return {
+        tools: this.policy.advertise(await this.liveToolDefinitions())
+      };
+    });
+
+    // Tool execution handler
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name } = request.params;
+      const { confirm, ...args } = request.params.arguments || {};
+      const call = { startedAt: new Date().toISOString(), changes: new Map() };
+      
+      try {
+        const denied = this.policy.denial(name);
+        if (denied) {
+          throw new McpError(ErrorCode.InvalidRequest, `Tool ${name} is ${denied}`);
+        }
+        if (confirm !== true && this.policy.needsConfirm(name, args)) {
+          throw new McpError(ErrorCode.InvalidParams, `${name} deletes or overwrites content; call it again with confirm: true to go ahead`);
+        }
+        return await auditContext.run(call, () => this.callTool(name, args));
+      } catch (error) {
+        call.error = error.message;
+        if (error instanceof McpError) throw error;
+        if (error instanceof z.ZodError) {
+          throw new McpError(ErrorCode.InvalidParams, `Invalid arguments: ${formatIssues(error)}`);
+        }
+        throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`);
+      } finally {
+        await this.writeAuditRecord(name, args, call);
+      }
+    });
+  }
+
+  // Tool definitions with the create tools' field schemas generated from the content model
+  // getContentModel caches, or the hand-written ones when the model cannot be read. After a
+  // failure, listing keeps the hand-written schemas until a tool call loads the model again.
+  async liveToolDefinitions() {
+    const tools = this.toolDefinitions();
+    const target = this.resolveTarget();
+    if (!target.management || target.contentModelUnavailable) return tools;
+    
+    const model = await this.getContentModel().catch(error => {
+      target.contentModelUnavailable = true;
+      console.error(`Content model not available, listing built-in tool schemas: ${error.message}`);
+      return null;
+    });
+    if (!model) return tools;
+    
+    return tools.map(tool => {
+      const type = LIVE_SCHEMA_TOOLS[tool.name];
+      const contentType = type && model.get(type.contentType);
+      return contentType ? { ...tool, inputSchema: liveInputSchema(type.schema, contentType, tool.inputSchema, type.fieldIds) } : tool;
+    });
+  }
+
+  // Field schema of a built-in create tool, generated from the live content type when it can be read
+  async liveFieldSchema(type, args = {}) {
+    const model = await this.getContentModel(args).catch(() => null);
+    const contentType = model?.get(type.contentType);
+    return contentType ? liveEntrySchema(type.schema, contentType, type.fieldIds) : type.schema;
+  }
+
+  toolDefinitions() {
+    return [
+      {
+        name: 'add_ai_tool',
+        description: 'Add a new AI tool to Contentful',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Tool name' },
+            description: { type: 'string', description: 'Tool description' },
+            category: { type: 'string', description: 'Tool category' },
+            website: { type: 'string', description: 'Tool website URL' },
+            pricing: { type: 'string', enum: ['free', 'freemium', 'paid'] },
+            tags: { type: 'array', items: { type: 'string' } },
+            features: { type: 'array', items: { type: 'string' } },
+            logoUrl: { type: 'string', description: 'Logo URL (optional)' },
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['name', 'description', 'category', 'website', 'pricing']
+        }
+      },
+      {
+        name: 'update_ai_tool',
+        description: 'Update an existing AI tool in Contentful and show a before/after diff',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...updateToolProperties(EDITABLE_TYPES.tool),
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'delete_ai_tool',
+        description: 'Delete (or archive) an AI tool in Contentful, unpublishing it first if needed',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...DELETE_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'add_ai_term',
+        description: 'Add a new AI term to Contentful',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            term: { type: 'string', description: 'Term name' },
+            definition: { type: 'string', description: 'Term definition' },
+            category: { type: 'string', description: 'Term category' },
+            relatedTerms: { type: 'array', items: { type: 'string' } },
+            examples: { type: 'array', items: { type: 'string' } },
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['term', 'definition', 'category']
+        }
+      },
+      {
+        name: 'create_category_page',
+        description: 'Create a new category page in Contentful',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Category name' },
+            slug: { type: 'string', description: 'URL slug' },
+            description: { type: 'string', description: 'Category description' },
+            icon: { type: 'string', description: 'Category icon' },
+            filterBy: { type: 'string', description: 'Field to filter by' },
+            filterValues: { type: 'array', items: { type: 'string' } },
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['name', 'slug', 'description', 'icon', 'filterBy', 'filterValues']
+        }
+      },
+      {
+        name: 'update_ai_term',
+        description: 'Update an existing AI term in Contentful and show a before/after diff',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...updateToolProperties(EDITABLE_TYPES.term),
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'delete_ai_term',
+        description: 'Delete (or archive) an AI term in Contentful, unpublishing it first if needed',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...DELETE_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'update_category_page',
+        description: 'Update an existing category page in Contentful and show a before/after diff',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...updateToolProperties(EDITABLE_TYPES.category),
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'delete_category_page',
+        description: 'Delete (or archive) a category page in Contentful, unpublishing it first if needed',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...DELETE_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'get_entry',
+        description: 'Show an entry of any content type with its state and all field values',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entryId: { type: 'string', description: 'Contentful entry ID' },
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'query_entries',
+        description: 'List entries of any content type, filtered by text, field values and publication state',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentTypeId: { type: 'string', description: 'Content type ID (see describe_content_model)' },
+            query: { type: 'string', description: 'Full-text search' },
+            where: { type: 'object', description: 'Field values to match by field ID; a list matches any of its values' },
+            status: { type: 'string', enum: ['draft', 'changed', 'published', 'archived'], description: 'Only entries in this state' },
+            order: { type: 'string', description: 'Sort order, e.g. fields.name or -sys.createdAt (default: -sys.updatedAt)' },
+            limit: { type: 'number', description: 'Maximum entries to list (default: 20)' },
+            skip: { type: 'number', description: 'Entries to skip, for paging (default: 0)' },
+            locale: { type: 'string', description: 'Locale of the listed titles (defaults to the space default locale)' },
+            ...TARGET_PROPERTIES
+          },
+          required: ['contentTypeId']
+        }
+      },
+      {
+        name: 'create_entry',
+        description: 'Create an entry of any content type, validated against its field definitions in Contentful',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentTypeId: { type: 'string', description: 'Content type ID (see describe_content_model)' },
+            fields: ENTRY_FIELDS_INPUT,
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['contentTypeId', 'fields']
+        }
+      },
+      {
+        name: 'update_entry',
+        description: 'Change fields of an entry of any content type, validated against its field definitions in Contentful',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entryId: { type: 'string', description: 'Contentful entry ID' },
+            fields: ENTRY_FIELDS_INPUT,
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId', 'fields']
+        }
+      },
+      {
+        name: 'delete_entry',
+        description: 'Delete (or archive) an entry of any content type, unpublishing it first if needed',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...DELETE_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'list_drafts',
+        description: 'List unpublished entries and entries with unpublished changes, with pending scheduled actions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentTypes: {
+              type: 'array',
+              items: { type: 'string', enum: ['tools', 'terms', 'categories'] },
+              description: 'Content to list (defaults to all)'
+            },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'publish_entry',
+        description: 'Publish an entry after review',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entryId: { type: 'string', description: 'Contentful entry ID' },
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'unpublish_entry',
+        description: 'Unpublish an entry, keeping it as a draft',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entryId: { type: 'string', description: 'Contentful entry ID' },
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'archive_entry',
+        description: 'Archive an entry (unpublishing it first if needed)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entryId: { type: 'string', description: 'Contentful entry ID' },
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'schedule_publish',
+        description: 'Schedule an entry to be published or unpublished at a future date',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entryId: { type: 'string', description: 'Contentful entry ID' },
+            scheduledAt: { type: 'string', description: 'ISO date of the scheduled action' },
+            timezone: { type: 'string', description: 'Timezone, e.g. Europe/Berlin' },
+            action: { type: 'string', enum: ['publish', 'unpublish'], description: 'Action to schedule (default: publish)' },
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId', 'scheduledAt']
+        }
+      },
+      {
+        name: 'search_content',
+        description: 'Search AI tools, terms and category pages with full-text and field filters',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Full-text search query' },
+            contentTypes: {
+              type: 'array',
+              items: { type: 'string', enum: ['tools', 'terms', 'categories'] },
+              description: 'Content to search (defaults to all)'
+            },
+            category: { type: 'string', description: 'Exact category (tools and terms)' },
+            pricing: { type: 'string', enum: ['free', 'freemium', 'paid'] },
+            tags: { type: 'array', items: { type: 'string' }, description: 'Match tools with any of these tags' },
+            isAITool: { type: 'boolean' },
+            updatedSince: { type: 'string', description: 'Only entries updated at or after this ISO date' },
+            sort: { type: 'string', enum: ['name', '-name', 'createdAt', '-createdAt', 'updatedAt', '-updatedAt'] },
+            fields: { type: 'array', items: { type: 'string' }, description: 'Fields to return as JSON instead of summaries' },
+            locale: { type: 'string', description: 'Locale of the returned fields (defaults to the space default locale)' },
+            limit: { type: 'number', description: 'Maximum results (default: 20)' },
+            offset: { type: 'number', description: 'Results to skip' },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'list_ai_tools',
+        description: 'List AI tools, optionally filtered by category, pricing or tags',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            category: { type: 'string', description: 'Exact category' },
+            pricing: { type: 'string', enum: ['free', 'freemium', 'paid'] },
+            tags: { type: 'array', items: { type: 'string' } },
+            sort: { type: 'string', enum: ['name', '-name', 'createdAt', '-createdAt', 'updatedAt', '-updatedAt'] },
+            fields: { type: 'array', items: { type: 'string' }, description: 'Fields to return as JSON instead of summaries' },
+            locale: { type: 'string', description: 'Locale of the returned fields (defaults to the space default locale)' },
+            limit: { type: 'number', description: 'Maximum results (default: 20)' },
+            offset: { type: 'number', description: 'Results to skip' },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'import_content',
+        description: 'Bulk create or update AI tools or terms from a CSV, JSON or YAML file',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            file: { type: 'string', description: 'Path to the file (relative to the site root)' },
+            contentType: { type: 'string', enum: ['tools', 'terms'] },
+            format: { type: 'string', enum: ['csv', 'json', 'yaml'], description: 'File format (defaults to the file extension)' },
+            updateExisting: { type: 'boolean', description: 'Update entries matched by id or name (default: true)' },
+            dryRun: { type: 'boolean', description: 'Validate and report without writing to Contentful' },
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['file', 'contentType']
+        }
+      },
+      {
+        name: 'export_content',
+        description: 'Export AI tools or terms to a CSV, JSON or YAML file that import_content can read back',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            file: { type: 'string', description: 'Output path (relative to the site root)' },
+            contentType: { type: 'string', enum: ['tools', 'terms'] },
+            format: { type: 'string', enum: ['csv', 'json', 'yaml'], description: 'File format (defaults to the file extension)' },
+            locale: { type: 'string', description: 'Locale to export (defaults to the space default locale)' },
+            ...TARGET_PROPERTIES
+          },
+          required: ['file', 'contentType']
+        }
+      },
+      {
+        name: 'update_seo_config',
+        description: 'Update the site-wide SEO settings in src/config/seo.json, and in SEOMetaTags.tsx until it reads them, previewing the diff first',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            domain: { type: 'string', description: 'Site domain without protocol, e.g. example.org' },
+            title: { type: 'string', description: 'Default page title' },
+            description: { type: 'string', description: 'Default meta description' },
+            keywords: { type: 'array', items: { type: 'string' } },
+            ogImage: { type: 'string', description: 'OpenGraph image URL or site path' },
+            dryRun: { type: 'boolean', description: 'Only show the changes (default: true)' }
+          }
+        }
+      },
+      {
+        name: 'update_entry_seo',
+        description: 'Set the SEO fields of an AI tool, term or category page and show a before/after diff',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entryId: { type: 'string', description: 'Contentful entry ID' },
+            metaTitle: { type: 'string', description: 'Page title for search results' },
+            metaDescription: { type: 'string', description: 'Meta description for search results' },
+            slug: { type: 'string', description: 'Canonical URL slug' },
+            noindex: { type: 'boolean', description: 'Hide the page from search engines' },
+            ogImage: { type: 'string', description: 'OpenGraph image URL or site path' },
+            expectedVersion: { type: 'number', description: 'Fail if the entry is no longer at this sys.version' },
+            ...LOCALE_PROPERTIES,
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          },
+          required: ['entryId']
+        }
+      },
+      {
+        name: 'describe_content_model',
+        description: 'List the content types in Contentful with their fields and validations, and where they differ from what the built-in tools write',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentTypeId: { type: 'string', description: 'Only this content type' },
+            format: {
+              type: 'string',
+              enum: ['text', 'json', 'schema'],
+              description: 'text, the definitions as json, or schema for JSON Schemas of the entry fields (default: text)'
+            },
+            refresh: { type: 'boolean', description: 'Load the model again instead of using the cached one' },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'create_content_type',
+        description: 'Create and publish a new content type (dry run by default)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentTypeId: { type: 'string', description: 'Content type ID (letters, digits and _)' },
+            name: { type: 'string', description: 'Content type name' },
+            description: { type: 'string', description: 'Content type description' },
+            displayField: { type: 'string', description: 'ID of the Symbol or Text field used as entry title (default: the first Symbol field)' },
+            fields: { type: 'array', items: CONTENT_FIELD_INPUT, description: 'Field definitions' },
+            dryRun: { type: 'boolean', description: 'Only show the content type that would be created (default: true)' },
+            ...TARGET_PROPERTIES
+          },
+          required: ['contentTypeId', 'name', 'fields']
+        }
+      },
+      {
+        name: 'add_field',
+        description: 'Add a field to a content type and publish it (dry run by default)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentTypeId: { type: 'string', description: 'Content type to extend' },
+            field: CONTENT_FIELD_INPUT,
+            dryRun: { type: 'boolean', description: 'Only show the field that would be added (default: true)' },
+            ...TARGET_PROPERTIES
+          },
+          required: ['contentTypeId', 'field']
+        }
+      },
+      {
+        name: 'add_seo_fields',
+        description: 'Add the per-entry SEO fields (metaTitle, metaDescription, slug, noindex, ogImage) to the content types that lack them',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentTypes: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(CONTENT_TYPES) },
+              description: 'Content types to extend (default: all)'
+            },
+            dryRun: { type: 'boolean', description: 'Only list the fields that would be added (default: true)' },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'audit_seo',
+        description: 'Audit per-entry SEO: missing or overlong titles and descriptions, duplicate meta descriptions and slug collisions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentType: {
+              type: 'string',
+              enum: ['tools', 'terms', 'categories', 'all'],
+              description: 'Content to audit (default: all)'
+            },
+            format: { type: 'string', enum: ['text', 'json'], description: 'Report format (default: text)' },
+            minSeverity: { type: 'string', enum: AUDIT_SEVERITIES, description: 'Lowest severity to report (default: info)' },
+            limit: { type: 'number', description: 'Maximum issues listed per rule in the text report (default: 20)' },
+            rules: {
+              type: 'object',
+              description: `Rule overrides on top of "seoRules" in the audit config, e.g. { "seo-length": { "titleMax": 65 } }. Rules: ${Object.keys(SEO_AUDIT_RULES).join(', ')}`
+            },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'generate_sitemap',
+        description: 'Write public/sitemap.xml for all published tools, terms and category pages (lastmod from sys.updatedAt)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            domain: { type: 'string', description: 'Site domain (default: SITE_DOMAIN or the domain in src/config/seo.json)' },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'generate_robots_txt',
+        description: 'Write public/robots.txt pointing crawlers at the sitemap',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            domain: { type: 'string', description: 'Site domain (default: SITE_DOMAIN or the domain in src/config/seo.json)' },
+            disallow: { type: 'array', items: { type: 'string' }, description: 'Paths crawlers should skip, e.g. /admin' },
+            disallowAll: { type: 'boolean', description: 'Block all crawling, e.g. for a staging site' }
+          }
+        }
+      },
+      {
+        name: 'generate_structured_data',
+        description: 'Export JSON-LD per entry (SoftwareApplication for tools, DefinedTerm for terms) to public/structured-data',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            domain: { type: 'string', description: 'Site domain (default: SITE_DOMAIN or the domain in src/config/seo.json)' },
+            entryId: { type: 'string', description: 'Only return the JSON-LD of this entry instead of writing files' },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'validate_content',
+        description: 'Audit content for quality and completeness with configurable rules',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentType: { 
+              type: 'string', 
+              enum: ['tools', 'terms', 'categories', 'all'],
+              description: 'Type of content to validate'
+            },
+            format: { type: 'string', enum: ['text', 'json'], description: 'Report format (default: text)' },
+            minSeverity: { type: 'string', enum: AUDIT_SEVERITIES, description: 'Lowest severity to report (default: info)' },
+            limit: { type: 'number', description: 'Maximum issues listed per rule in the text report (default: 20)' },
+            rules: {
+              type: 'object',
+              description: `Rule overrides on top of the audit config, e.g. { "stale-content": { "days": 90 }, "tag-drift": false }. Rules: ${Object.keys(AUDIT_RULES).join(', ')}`
+            },
+            ...TARGET_PROPERTIES
+          },
+          required: ['contentType']
+        }
+      },
+      {
+        name: 'check_links',
+        description: 'Check every AI tool website and logo URL for dead links, redirects to other domains and logos that are not images',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            baseUrl: { type: 'string', description: 'Base URL for relative links (default: LINK_CHECK_BASE_URL or https://SITE_DOMAIN)' },
+            refresh: { type: 'boolean', description: 'Ignore cached results and check every link again' },
+            format: { type: 'string', enum: ['text', 'json'], description: 'Report format (default: text)' },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'fix_content',
+        description: 'Fix mechanical content issues (whitespace, tag spellings, slugs, duplicate features, http URLs, dangling related terms). Dry run by default; applying takes a backup first. Published entries are published again unless publish is given',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            fixes: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(CONTENT_FIXES) },
+              description: 'Fixes to run (default: all)'
+            },
+            contentType: {
+              type: 'string',
+              enum: ['tools', 'terms', 'categories', 'all'],
+              description: 'Content to fix (default: all)'
+            },
+            entryIds: { type: 'array', items: { type: 'string' }, description: 'Only fix these entries' },
+            dryRun: { type: 'boolean', description: 'Only show the proposed changes (default: true)' },
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'backup_content',
+        description: 'Create a timestamped backup of content types, entries (any state) and assets via the management API',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            includeAssets: { type: 'boolean', description: 'Download asset binaries into the backup' },
+            keepDaily: { type: 'number', description: `Days back from now to keep the newest backup of each day for (default: ${BACKUP_KEEP_DAILY})` },
+            keepWeekly: { type: 'number', description: `Weeks back from now to keep the newest backup of each week for (default: ${BACKUP_KEEP_WEEKLY})` },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'list_backups',
+        description: 'List available backups with content counts',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            verify: { type: 'boolean', description: 'Verify file checksums against each manifest' }
+          }
+        }
+      },
+      {
+        name: 'restore_content',
+        description: 'Restore Contentful entries from a backup file (dry run by default)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            file: { type: 'string', description: 'Backup name in backups/ (defaults to the latest)' },
+            contentTypes: {
+              type: 'array',
+              items: { type: 'string', enum: ['tools', 'terms', 'categories'] },
+              description: 'Backup sections to restore (defaults to all)'
+            },
+            deleteMissing: { type: 'boolean', description: 'Delete live entries that are not in the backup' },
+            dryRun: { type: 'boolean', description: 'Only report planned changes (default: true)' },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
       {
-        capabilities: {
-          resources: {},
-          tools: {}
+        name: 'promote_content',
+        description: 'Diff tools, terms, category pages and content types between two different environments and promote selected changes (dry run by default)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sourceEnvironment: { type: 'string', description: 'Environment to promote from, e.g. staging' },
+            targetEnvironment: { type: 'string', description: 'Environment to promote to, e.g. master' },
+            sourceProfile: { type: 'string', description: 'Profile of the source (defaults to the active profile)' },
+            targetProfile: { type: 'string', description: 'Profile of the target (defaults to the active profile)' },
+            contentTypes: {
+              type: 'array',
+              items: { type: 'string', enum: ['tools', 'terms', 'categories'] },
+              description: 'Content to compare (defaults to all)'
+            },
+            include: {
+              type: 'array',
+              items: { type: 'string', enum: ['added', 'changed', 'removed'] },
+              description: 'Kinds of entry changes to apply (default: added, changed)'
+            },
+            entryIds: { type: 'array', items: { type: 'string' }, description: 'Only apply changes for these source or target entry IDs' },
+            applyContentTypes: { type: 'boolean', description: 'Also apply content type definition changes' },
+            format: { type: 'string', enum: ['text', 'json'], description: 'Diff output format (default: text)' },
+            dryRun: { type: 'boolean', description: 'Only report the diff (default: true)' }
+          },
+          required: ['sourceEnvironment', 'targetEnvironment']
+        }
+      },
+      {
+        name: 'contentful_diagnostics',
+        description: 'Show Contentful client configuration and management API queue statistics',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'list_profiles',
+        description: 'List configured Contentful profiles and the active one',
+        inputSchema: {
+          type: 'object',
+          properties: {}
+        }
+      },
+      {
+        name: 'switch_profile',
+        description: 'Switch the active Contentful profile and optionally its environment',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            profile: { type: 'string', description: 'Profile name' },
+            environment: { type: 'string', description: 'Environment ID (defaults to the profile environment)' }
+          },
+          required: ['profile']
+        }
+      },
+      {
+        name: 'translation_status',
+        description: 'Report entries whose localized fields are missing translations in each locale of the space',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contentTypes: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(CONTENT_TYPES) },
+              description: 'Content to check (default: all)'
+            },
+            locales: { type: 'array', items: { type: 'string' }, description: 'Locales to check (default: every non-default locale)' },
+            limit: { type: 'number', description: 'Maximum entries listed per locale (default: 50)' },
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'sync_github_projects',
+        description: 'Fetch GitHub repositories into src/data/github-projects.json, optionally upserting them as Contentful project entries',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            username: { type: 'string', description: 'GitHub username (default: GITHUB_USERNAME)' },
+            forceRefresh: { type: 'boolean', description: 'Ignore cached ETags and download every page again' },
+            topics: { type: 'array', items: { type: 'string' }, description: 'Only repositories with at least one of these topics' },
+            minStars: { type: 'number', description: 'Only repositories with at least this many stars' },
+            includeArchived: { type: 'boolean', description: 'Include archived repositories (default: false)' },
+            includeForks: { type: 'boolean', description: 'Include forks (default: false)' },
+            syncToContentful: { type: 'boolean', description: 'Also create or update a Contentful project entry per repository' },
+            ...PUBLISH_PROPERTIES,
+            ...TARGET_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'view_audit_log',
+        description: 'List the changes tool calls made (newest first), or show one record in full',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Show this audit record with its arguments and previous state' },
+            tool: { type: 'string', description: 'Only calls of this tool' },
+            entryId: { type: 'string', description: 'Only calls that changed this entry' },
+            file: { type: 'string', description: 'Only calls that changed a file whose path contains this text' },
+            since: { type: 'string', description: 'Only calls at or after this date/time' },
+            until: { type: 'string', description: 'Only calls before this date/time' },
+            limit: { type: 'number', description: 'Maximum records to list (default: 20)' }
+          }
+        }
+      },
+      {
+        name: 'undo_change',
+        description: 'Revert the entries, content types, files and scheduled actions one tool call changed, using the previous state in the audit log (dry run by default)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Audit record to undo (default: the last change that has not been undone)' },
+            force: { type: 'boolean', description: 'Undo even where something was changed again after the logged call' },
+            dryRun: { type: 'boolean', description: 'Only show what would be reverted (default: true)' }
+          }
+        }
+      },
+      {
+        name: 'update_site_config',
+        description: 'Update site.config.json by deep-merging values and/or applying set, unset and append operations, validated against the site\'s JSON Schema (dry run by default)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            config: { type: 'object', description: 'Values to deep-merge: nested objects are merged key by key, arrays and other values are replaced' },
+            operations: {
+              type: 'array',
+              description: 'Operations applied after the merge, in order',
+              items: {
+                type: 'object',
+                properties: {
+                  op: { type: 'string', enum: ['set', 'unset', 'append'] },
+                  path: { type: 'string', description: 'JSON Pointer, e.g. /features/darkMode or /navigation/0/label' },
+                  value: { description: 'New value for set, item to add for append' }
+                },
+                required: ['op', 'path']
+              }
+            },
+            dryRun: { type: 'boolean', description: 'Only show the diff (default: true)' }
+          }
+        }
+      },
+      {
+        name: 'revert_site_config',
+        description: 'Restore an earlier version of site.config.json from its history (dry run by default)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            version: { type: 'string', description: 'Version ID from the history (default: the most recent one)' },
+            dryRun: { type: 'boolean', description: 'Only list the history and show the diff (default: true)' }
+          }
+        }
+      }
+    ];
+  }
+
+  async callTool(name, args) {
+    switch (name) {
+      case 'add_ai_tool':
+        return await this.addAITool(args);
+      case 'update_ai_tool':
+        return await this.updateAITool(args);
+      case 'delete_ai_tool':
+        return await this.deleteAITool(args);
+      case 'add_ai_term':
+        return await this.addAITerm(args);
+      case 'update_ai_term':
+        return await this.updateAITerm(args);
+      case 'delete_ai_term':
+        return await this.deleteAITerm(args);
+      case 'create_category_page':
+        return await this.createCategoryPage(args);
+      case 'update_category_page':
+        return await this.updateCategoryPage(args);
+      case 'delete_category_page':
+        return await this.deleteCategoryPage(args);
+      case 'get_entry':
+        return await this.getEntry(args);
+      case 'query_entries':
+        return await this.queryEntries(args);
+      case 'create_entry':
+        return await this.createEntry(args);
+      case 'update_entry':
+        return await this.updateEntry(args);
+      case 'delete_entry':
+        return await this.deleteEntryOfType({ label: 'entry' }, args);
+      case 'list_drafts':
+        return await this.listDrafts(args);
+      case 'publish_entry':
+        return await this.publishEntry(args);
+      case 'unpublish_entry':
+        return await this.unpublishEntry(args);
+      case 'archive_entry':
+        return await this.archiveEntry(args);
+      case 'schedule_publish':
+        return await this.schedulePublish(args);
+      case 'search_content':
+        return await this.searchContent(args);
+      case 'list_ai_tools':
+        return await this.listAITools(args);
+      case 'import_content':
+        return await this.importContent(args);
+      case 'export_content':
+        return await this.exportContent(args);
+      case 'update_seo_config':
+        return await this.updateSEOConfig(args);
+      case 'update_entry_seo':
+        return await this.updateEntrySEO(args);
+      case 'describe_content_model':
+        return await this.describeContentModel(args);
+      case 'create_content_type':
+        return await this.createContentType(args);
+      case 'add_field':
+        return await this.addField(args);
+      case 'add_seo_fields':
+        return await this.addSEOFields(args);
+      case 'audit_seo':
+        return await this.auditSEO(args);
+      case 'generate_sitemap':
+        return await this.generateSitemap(args);
+      case 'generate_robots_txt':
+        return await this.generateRobotsTxt(args);
+      case 'generate_structured_data':
+        return await this.generateStructuredData(args);
+      case 'validate_content':
+        return await this.validateContent(args);
+      case 'check_links':
+        return await this.checkLinks(args);
+      case 'fix_content':
+        return await this.fixContent(args);
+      case 'backup_content':
+        return await this.backupContent(args);
+      case 'list_backups':
+        return await this.listBackups(args);
+      case 'restore_content':
+        return await this.restoreContent(args);
+      case 'promote_content':
+        return await this.promoteContent(args);
+      case 'contentful_diagnostics':
+        return await this.contentfulDiagnostics(args);
+      case 'list_profiles':
+        return await this.listProfiles();
+      case 'switch_profile':
+        return await this.switchProfile(args);
+      case 'translation_status':
+        return await this.translationStatus(args);
+      case 'sync_github_projects':
+        return await this.syncGitHubProjects(args);
+      case 'view_audit_log':
+        return await this.viewAuditLog(args);
+      case 'undo_change':
+        return await this.undoChange(args);
+      case 'update_site_config':
+        return await this.updateSiteConfig(args);
+      case 'revert_site_config':
+        return await this.revertSiteConfig(args);
+      default:
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+  }
+
+  // Profile, environment and clients a tool call targets
+  resolveTarget(args = {}) {
+    const profileName = args.profile || this.activeProfile;
+    const profile = this.profiles[profileName];
+    if (!profile) {
+      throw new Error(`Unknown profile "${profileName}", available: ${Object.keys(this.profiles).join(', ')}`);
+    }
+    
+    const environmentId = args.environment ||
+      (profileName === this.activeProfile && this.activeEnvironment) ||
+      profile.environment;
+    const key = `${profileName}:${environmentId}`;
+    
+    if (!this.targets.has(key)) {
+      this.targets.set(key, {
+        profileName,
+        backend: profile.backend,
+        spaceId: profile.spaceId,
+        environmentId,
+        ...createContentfulClients(profile, environmentId)
+      });
+    }
+    return this.targets.get(key);
+  }
+
+  // Cached environment handle shared by every management API call
+  async getEnvironment(args = {}) {
+    const target = this.resolveTarget(args);
+    if (!target.management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    if (!target.environmentPromise) {
+      target.environmentPromise = this.getSpace(args)
+        .then(space => space.getEnvironment(target.environmentId))
+        .catch(error => {
+          target.environmentPromise = null;
+          throw error;
+        });
+    }
+    return target.environmentPromise;
+  }
+
+  async getSpace(args = {}) {
+    const target = this.resolveTarget(args);
+    if (!target.management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    if (!target.spacePromise) {
+      target.spacePromise = target.management.getSpace(target.spaceId)
+        .catch(error => {
+          target.spacePromise = null;
+          throw error;
+        });
+    }
+    return target.spacePromise;
+  }
+
+  // Cached locale codes of the target environment and its default locale
+  async getLocales(args = {}) {
+    const target = this.resolveTarget(args);
+    
+    if (!target.localesPromise) {
+      target.localesPromise = this.getEnvironment(args)
+        .then(environment => environment.getLocales())
+        .then(({ items }) => ({
+          codes: items.map(locale => locale.code),
+          defaultLocale: (items.find(locale => locale.default) || items[0])?.code,
+          items
+        }))
+        .catch(error => {
+          target.localesPromise = null;
+          throw error;
+        });
+    }
+    return target.localesPromise;
+  }
+
+  // Content types of a target by ID, loaded once like the locales; refresh loads them again
+  async getContentModel(args = {}, { refresh = false } = {}) {
+    const target = this.resolveTarget(args);
+    
+    if (!target.contentModelPromise || refresh) {
+      target.contentModelPromise = this.getEnvironment(args)
+        .then(environment => fetchAll(query => environment.getContentTypes(query)))
+        .then(contentTypes => {
+          target.contentModelUnavailable = false;
+          return new Map(contentTypes.map(contentType => [contentType.sys.id, contentType]));
+        })
+        .catch(error => {
+          target.contentModelPromise = null;
+          throw error;
+        });
+    }
+    return target.contentModelPromise;
+  }
+
+  // Locale that plain field values are written to: the locale argument or the space default
+  async resolveLocale(args = {}) {
+    const { codes, defaultLocale } = await this.getLocales(args);
+    const locale = args.locale || defaultLocale;
+    if (!codes.includes(locale)) {
+      throw new Error(`Unknown locale "${locale}". Available locales: ${codes.join(', ')}`);
+    }
+    return locale;
+  }
+
+  // Locale each field's plain values belong to: the requested locale for localized fields, the default locale otherwise
+  async fieldLocales(contentTypeId, args = {}) {
+    const { defaultLocale } = await this.getLocales(args);
+    const locale = await this.resolveLocale(args);
+    if (locale === defaultLocale) {
+      return () => defaultLocale;
+    }
+    
+    const environment = await this.getEnvironment(args);
+    const contentType = await environment.getContentType(contentTypeId);
+    const localized = new Set(contentType.fields.filter(field => field.localized).map(field => field.id));
+    return fieldId => localized.has(fieldId) ? locale : defaultLocale;
+  }
+
+  // Management API fields from plain values (written to their field locale) or per-field locale maps
+  async localizedFields(values, contentTypeId, args = {}) {
+    const { codes } = await this.getLocales(args);
+    const localeOf = await this.fieldLocales(contentTypeId, args);
+    const fields = {};
+    
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (!isLocaleMap(value)) {
+        fields[key] = { [localeOf(key)]: value };
+        return;
+      }
+      const unknown = Object.keys(value).filter(code => !codes.includes(code));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown locale(s) for ${key}: ${unknown.join(', ')}. Available locales: ${codes.join(', ')}`);
+      }
+      fields[key] = value;
+    });
+    await this.checkContentModel(contentTypeId, fields, args);
+    return fields;
+  }
+
+  // Check management API fields against the content type in Contentful, so a model that no longer matches
+  // the built-in schemas fails with the fields at fault instead of an API error
+  async checkContentModel(contentTypeId, fields, args = {}) {
+    const contentType = (await this.getContentModel(args)).get(contentTypeId);
+    if (!contentType) {
+      throw new Error(`There is no ${contentTypeId} content type in ${this.resolveTarget(args).environmentId} (see describe_content_model)`);
+    }
+    
+    const schema = contentTypeSchema(contentType, { partial: true });
+    const locales = [...new Set(Object.values(fields).flatMap(value => Object.keys(value)))];
+    locales.forEach(locale => {
+      const values = Object.fromEntries(Object.entries(fields)
+        .filter(([, value]) => value[locale] !== undefined)
+        .map(([fieldId, value]) => [fieldId, value[locale]]));
+      const parsed = schema.safeParse(values);
+      if (!parsed.success) {
+        throw new Error(`Fields do not match the ${contentTypeId} content type${locales.length > 1 ? ` [${locale}]` : ''}: ` +
+          `${formatIssues(parsed.error, 'fields')} (see describe_content_model)`);
+      }
+    });
+  }
+
+  // Publish, keep as draft or schedule an entry according to the publish arguments
+  async applyPublishMode(entry, options, args) {
+    if (options.publish === 'publish') {
+      await entry.publish();
+      return 'published';
+    }
+    
+    if (options.publish === 'schedule') {
+      await this.createScheduledAction(entry.sys.id, 'publish', options, args);
+      return `scheduled to publish at ${new Date(options.scheduledAt).toISOString()}`;
+    }
+    
+    return 'saved as draft';
+  }
+
+  async createScheduledAction(entryId, action, options, args) {
+    const space = await this.getSpace(args);
+    const { environmentId } = this.resolveTarget(args);
+    
+    const scheduledAction = await space.createScheduledAction({
+      entity: { sys: { type: 'Link', linkType: 'Entry', id: entryId } },
+      environment: { sys: { type: 'Link', linkType: 'Environment', id: environmentId } },
+      scheduledFor: {
+        datetime: new Date(options.scheduledAt).toISOString(),
+        ...(options.timezone && { timezone: options.timezone })
+      },
+      action
+    });
+    this.auditScheduledAction(scheduledAction, args);
+    return scheduledAction;
+  }
+
+  // Audit trail: code that changes content records each entry, content type, scheduled action
+  // and file before the tool call first changes it; only the first state per call is kept.
+  // Being called before every write, these are also where the tool policy's write limits are checked
+  recordChange(change) {
+    const call = auditContext.getStore();
+    const key = auditKey(change);
+    if (call && !call.changes.has(key)) call.changes.set(key, change);
+  }
+
+  auditEntry(entry, args, { created = false } = {}) {
+    this.policy.checkContentType(entry.sys.contentType.sys.id);
+    const { profileName, environmentId } = this.resolveTarget(args);
+    this.recordChange({
+      kind: 'entry',
+      profile: profileName,
+      environment: environmentId,
+      id: entry.sys.id,
+      contentType: entry.sys.contentType.sys.id,
+      label: entryLabel(entry.fields),
+      before: created ? null : JSON.parse(JSON.stringify(entry.toPlainObject()))
+    });
+  }
+
+  auditContentType(contentType, args, { created = false } = {}) {
+    this.policy.checkContentType(contentType.sys.id);
+    // The content type is about to change, so the cached model goes stale
+    this.resolveTarget(args).contentModelPromise = null;
+    const { profileName, environmentId } = this.resolveTarget(args);
+    this.recordChange({
+      kind: 'contentType',
+      profile: profileName,
+      environment: environmentId,
+      id: contentType.sys.id,
+      before: created ? null : JSON.parse(JSON.stringify(contentTypeDefinition(contentType)))
+    });
+  }
+
+  auditScheduledAction(scheduledAction, args) {
+    const { profileName, environmentId } = this.resolveTarget(args);
+    this.recordChange({
+      kind: 'scheduledAction',
+      profile: profileName,
+      environment: environmentId,
+      id: scheduledAction.sys.id,
+      entryId: scheduledAction.entity.sys.id,
+      action: scheduledAction.action,
+      before: null
+    });
+  }
+
+  async auditFile(filePath) {
+    this.policy.checkPath(filePath);
+    const call = auditContext.getStore();
+    if (!call || call.changes.has(auditKey({ kind: 'file', path: filePath }))) return;
+    this.recordChange({
+      kind: 'file',
+      path: filePath,
+      before: await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : null
+    });
+  }
+  
+  // Every file tools write or remove in the site goes through writeSiteFile and removeSiteFile,
+  // so the tool policy covers all of them. What a tool produces is also recorded for the audit log
+  // and undo_change; bookkeeping (backups, config history, the generated-files manifest) passes
+  // audit: false. The server's own state (caches, the audit log, the local store) is not a site file.
+  async writeSiteFile(filePath, data, { audit = true } = {}) {
+    if (audit) {
+      await this.auditFile(filePath);
+    } else {
+      this.policy.checkPath(filePath);
+    }
+    // Write to a temporary file first so the site never reads a half-written file
+    const tempFile = `${filePath}.tmp`;
+    await fs.outputFile(tempFile, data);
+    await fs.move(tempFile, filePath, { overwrite: true });
+  }
+  
+  async writeSiteJson(filePath, value, options) {
+    await this.writeSiteFile(filePath, `${JSON.stringify(value, null, 2)}\n`, options);
+  }
+  
+  // Remove a file or directory
+  async removeSiteFile(filePath, { audit = true } = {}) {
+    if (audit) {
+      await this.auditFile(filePath);
+    } else {
+      this.policy.checkPath(filePath);
+    }
+    await fs.remove(filePath);
+  }
+
+  // Append a tool call's changes to the audit log; calls that changed nothing are not logged, except undos
+  async writeAuditRecord(tool, args, call) {
+    if (call.changes.size === 0 && !call.undoes) return;
+    
+    const record = {
+      id: crypto.randomBytes(4).toString('hex'),
+      timestamp: call.startedAt,
+      completedAt: new Date().toISOString(),
+      tool,
+      args: args || {},
+      status: call.error ? 'failed' : 'ok',
+      ...(call.error && { error: call.error }),
+      ...(call.undoes && { undoes: call.undoes }),
+      changes: [...call.changes.values()]
+    };
+    try {
+      await fs.outputFile(AUDIT_LOG_FILE, `${JSON.stringify(record)}\n`, { flag: 'a' });
+    } catch (error) {
+      // The change itself succeeded; failing the tool call now would only hide that
+      console.error(`Failed to write audit log ${AUDIT_LOG_FILE}: ${error.message}`);
+    }
+  }
+
+  async readAuditLog() {
+    if (!await fs.pathExists(AUDIT_LOG_FILE)) return [];
+    const lines = (await fs.readFile(AUDIT_LOG_FILE, 'utf8')).split('\n').filter(line => line.trim());
+    return lines.map(line => JSON.parse(line));
+  }
+
+  // Resource readers
+  async readContentfulResource(uri) {
+    const url = new URL(uri);
+    const { hostname: resourceType, searchParams } = url;
+    
+    const deliveryClient = this.resolveTarget({
+      profile: searchParams.get('profile') || undefined,
+      environment: searchParams.get('environment') || undefined
+    }).delivery;
+    if (!deliveryClient) {
+      throw new Error('Contentful delivery client not available');
+    }
+
+    const contentType = CONTENT_TYPES[resourceType];
+    
+    if (!contentType) {
+      throw new Error(`Unknown Contentful resource: ${resourceType}`);
+    }
+    
+    const page = parseInt(searchParams.get('page') || '1', 10);
+    const pageSize = parseInt(searchParams.get('pageSize') || String(RESOURCE_PAGE_SIZE), 10);
+    
+    if (!(page >= 1) || !(pageSize >= 1 && pageSize <= CONTENTFUL_PAGE_LIMIT)) {
+      throw new Error(`Invalid paging parameters: page must be >= 1 and pageSize between 1 and ${CONTENTFUL_PAGE_LIMIT}`);
+    }
+    
+    // A single locale code, or * for every locale as { locale: value } maps
+    const locale = searchParams.get('locale') || undefined;
+    
+    const entries = await deliveryClient.getEntries({
+      content_type: contentType,
+      skip: (page - 1) * pageSize,
+      limit: pageSize,
+      ...(locale && { locale })
+    });
+    const totalPages = Math.ceil(entries.total / pageSize);
+    
+    url.searchParams.set('page', page + 1);
+    url.searchParams.set('pageSize', pageSize);
+    
+    return {
+      contents: [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify({
+          items: entries.items,
+          page,
+          pageSize,
+          total: entries.total,
+          totalPages,
+          nextUri: page < totalPages ? url.toString() : null
+        }, null, 2)
+      }]
+    };
+  }
+
+  async readFileResource(uri) {
+    const resourceType = uri.split('//')[1];
+    
+    switch (resourceType) {
+      case 'site-config':
+        const configPath = path.join(SITE_ROOT, 'src/config');
+        const configFiles = await glob('*.{js,ts,json}', { cwd: configPath });
+        const config = {};
+        
+        for (const file of configFiles) {
+          const filePath = path.join(configPath, file);
+          if (await fs.pathExists(filePath)) {
+            const content = await fs.readFile(filePath, 'utf8');
+            config[file] = content;
+          }
+        }
+        
+        return {
+          contents: [{
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify(config, null, 2)
+          }]
+        };
+        
+      case 'seo-config':
+        // Sites that have not moved to the settings file yet keep their settings in the component
+        if (!await fs.pathExists(SEO_CONFIG_FILE)) {
+          return {
+            contents: [{
+              uri,
+              mimeType: 'text/typescript',
+              text: await fs.readFile(SEO_COMPONENT_FILE, 'utf8')
+            }]
+          };
+        }
+        
+        return {
+          contents: [{
+            uri,
+            mimeType: 'application/json',
+            text: await fs.readFile(SEO_CONFIG_FILE, 'utf8')
+          }]
+        };
+        
+      case 'mock-data':
+        const mockFiles = await glob('*.{js,ts,json,yaml,yml}', { cwd: MOCK_DATA_DIR });
+        const mockData = {};
+        
+        for (const file of mockFiles) {
+          const filePath = path.join(MOCK_DATA_DIR, file);
+          if (await fs.pathExists(filePath)) {
+            const content = await fs.readFile(filePath, 'utf8');
+            mockData[file] = content;
+          }
+        }
+        
+        return {
+          contents: [{
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify(mockData, null, 2)
+          }]
+        };
+        
+      default:
+        throw new Error(`Unknown file resource: ${resourceType}`);
+    }
+  }
+
+  // Tool implementations
+  async addAITool(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    // Validate input
+    const validatedTool = localizable(await this.liveFieldSchema(EDITABLE_TYPES.tool, args)).parse(args);
+    const publishing = PublishSchema.parse(args);
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const locale = await this.resolveLocale(args);
+      
+      // Create entry
+      this.policy.checkContentType('aiTool');
+      const entry = await environment.createEntry('aiTool', {
+        fields: await this.localizedFields(validatedTool, 'aiTool', args)
+      });
+      this.auditEntry(entry, args, { created: true });
+      
+      const status = await this.applyPublishMode(entry, publishing, args);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully added AI tool "${localeValue(validatedTool.name, locale)}" to Contentful (ID: ${entry.sys.id}) - ${status}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to add AI tool: ${error.message}`);
+    }
+  }
+
+  async updateAITool(args) {
+    return this.updateEntryFields(EDITABLE_TYPES.tool, args);
+  }
+
+  async deleteAITool(args) {
+    return this.deleteEntryOfType(EDITABLE_TYPES.tool, args);
+  }
+
+  async updateAITerm(args) {
+    return this.updateEntryFields(EDITABLE_TYPES.term, args);
+  }
+
+  async deleteAITerm(args) {
+    return this.deleteEntryOfType(EDITABLE_TYPES.term, args);
+  }
+
+  async updateCategoryPage(args) {
+    return this.updateEntryFields(EDITABLE_TYPES.category, args);
+  }
+
+  async deleteCategoryPage(args) {
+    return this.deleteEntryOfType(EDITABLE_TYPES.category, args);
+  }
+
+  // Entry of an editable content type, refusing IDs that belong to another type
+  async getEditableEntry(type, entryId, args) {
+    const environment = await this.getEnvironment(args);
+    const entry = await environment.getEntry(entryId);
+    
+    const contentType = entry.sys.contentType.sys.id;
+    if (type.contentType && contentType !== type.contentType) {
+      throw new Error(`Entry ${entryId} is a ${contentType} entry, expected ${type.contentType}`);
+    }
+    return entry;
+  }
+
+  // Shared implementation of the update_* tools: validated, locale-aware field changes with a diff
+  async updateEntryFields(type, args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    // Report typos explicitly instead of dropping them
+    const validFields = Object.keys(type.schema.shape);
+    const unknownFields = Object.keys(args.fields || {}).filter(fieldName => !validFields.includes(fieldName));
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown ${type.label} field(s): ${unknownFields.join(', ')}. Valid fields: ${validFields.join(', ')}`);
+    }
+    
+    const update = entryUpdateSchema(type).parse(args);
+    const publishing = PublishSchema.parse(args);
+    
+    try {
+      const entry = await this.getEditableEntry(type, update.entryId, args);
+      
+      if (update.expectedVersion !== undefined && entry.sys.version !== update.expectedVersion) {
+        throw new Error(`Version conflict: entry is at version ${entry.sys.version}, expected ${update.expectedVersion}. Re-read the entry and retry.`);
+      }
+      
+      const locale = await this.resolveLocale(args);
+      const label = entryLabel(entry.fields, locale);
+      
+      // New values per field and locale; append/remove apply to the field's locale
+      const fieldValues = Object.fromEntries(Object.entries(update.fields)
+        .map(([fieldName, value]) => [type.fieldIds?.[fieldName] || fieldName, value]));
+      const changes = await this.localizedFields(fieldValues, type.contentType, args);
+      const localeOf = await this.fieldLocales(type.contentType, args);
+      const listValue = fieldName =>
+        changes[fieldName]?.[localeOf(fieldName)] ?? entry.fields[fieldName]?.[localeOf(fieldName)] ?? [];
+      Object.entries(update.append || {}).forEach(([fieldName, values]) => {
+        const current = listValue(fieldName);
+        changes[fieldName] = {
+          ...changes[fieldName],
+          [localeOf(fieldName)]: [...current, ...values.filter(value => !current.includes(value))]
+        };
+      });
+      Object.entries(update.remove || {}).forEach(([fieldName, values]) => {
+        changes[fieldName] = {
+          ...changes[fieldName],
+          [localeOf(fieldName)]: listValue(fieldName).filter(value => !values.includes(value))
+        };
+      });
+      
+      const changed = [];
+      Object.entries(changes).forEach(([fieldName, values]) => {
+        Object.entries(values).forEach(([code, value]) => {
+          const before = entry.fields[fieldName]?.[code];
+          if (JSON.stringify(before) !== JSON.stringify(value)) {
+            changed.push({ fieldName, code, before, after: value });
+          }
+        });
+      });
+      
+      if (changed.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ No changes to apply to ${type.label} "${label}" (ID: ${update.entryId}, version ${entry.sys.version})`
+          }]
+        };
+      }
+      
+      this.auditEntry(entry, args);
+      changed.forEach(({ fieldName, code, after }) => {
+        entry.fields[fieldName] = { ...entry.fields[fieldName], [code]: after };
+      });
+      
+      let updated;
+      try {
+        updated = await entry.update();
+      } catch (error) {
+        if (error.name === 'VersionMismatch') {
+          throw new Error('Version conflict: the entry was changed by someone else while updating. Re-read the entry and retry.');
+        }
+        throw error;
+      }
+      const status = await this.applyPublishMode(updated, publishing, args);
+      
+      const diff = changed.map(({ fieldName, code, before, after }) =>
+        `~ ${fieldName} [${code}]: ${JSON.stringify(before) ?? '(empty)'} → ${JSON.stringify(after) ?? '(empty)'}`);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully updated ${type.label} "${entryLabel(updated.fields, locale)}" (ID: ${update.entryId}, version ${updated.sys.version}) - ${status}\n${diff.join('\n')}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to update ${type.label}: ${error.message}`);
+    }
+  }
+
+  // Shared implementation of the delete_* tools; drafts are deleted directly, published entries unpublished first
+  async deleteEntryOfType(type, args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    try {
+      let entry = await this.getEditableEntry(type, args.entryId, args);
+      const label = entryLabel(entry.fields);
+      const wasPublished = entry.isPublished();
+      
+      if (args.archive && entry.isArchived()) {
+        throw new Error(`Entry ${args.entryId} is already archived`);
+      }
+      this.auditEntry(entry, args);
+      if (wasPublished) {
+        entry = await entry.unpublish();
+      }
+      
+      if (args.archive) {
+        await entry.archive();
+      } else {
+        await entry.delete();
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully ${args.archive ? 'archived' : 'deleted'} ${type.label} "${label}" (ID: ${args.entryId})` +
+            `${wasPublished ? ' after unpublishing it' : ''}${args.archive ? ' - publish_entry restores it' : ''}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to ${args.archive ? 'archive' : 'delete'} ${type.label}: ${error.message}`);
+    }
+  }
+
+  async getEntry(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const entry = await environment.getEntry(args.entryId);
+      const contentTypeId = entry.sys.contentType.sys.id;
+      const contentType = (await this.getContentModel(args)).get(contentTypeId);
+      const { defaultLocale } = await this.getLocales(args);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `📄 ${contentTypeId} "${displayLabel(entry.fields, contentType, defaultLocale)}" (ID: ${entry.sys.id}) - ` +
+            `${entryState(entry.sys)}, version ${entry.sys.version}, updated ${entry.sys.updatedAt}\n` +
+            JSON.stringify(entry.fields, null, 2)
+        }]
+      };
+    } catch (error) {
+      if (error.name === 'NotFound') throw new Error(`Failed to get entry: Entry ${args.entryId} not found`);
+      throw new Error(`Failed to get entry: ${error.message}`);
+    }
+  }
+
+  async queryEntries(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    const search = QueryEntriesSchema.parse(args);
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const model = await this.getContentModel(args);
+      const contentType = model.get(search.contentTypeId);
+      if (!contentType) {
+        throw new Error(`Unknown content type ${search.contentTypeId}. Available content types: ${[...model.keys()].join(', ')}`);
+      }
+      const fieldIds = contentType.fields.map(field => field.id);
+      const unknown = Object.keys(search.where).filter(fieldId => !fieldIds.includes(fieldId));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown ${search.contentTypeId} field(s): ${unknown.join(', ')}. Fields: ${fieldIds.join(', ')}`);
+      }
+      
+      const query = { content_type: search.contentTypeId, order: search.order };
+      if (search.query) query.query = search.query;
+      Object.entries(search.where).forEach(([fieldId, value]) => {
+        if (Array.isArray(value)) {
+          query[`fields.${fieldId}[in]`] = value.join(',');
+        } else {
+          query[`fields.${fieldId}`] = value;
+        }
+      });
+      
+      // The API can't filter on publication state, so those queries are filtered and paged here
+      let entries;
+      let total;
+      if (search.status) {
+        const matching = (await fetchAll(page => environment.getEntries(page), query))
+          .filter(entry => entryState(entry.sys) === search.status);
+        total = matching.length;
+        entries = matching.slice(search.skip, search.skip + search.limit);
+      } else {
+        ({ items: entries, total } = await environment.getEntries({ ...query, skip: search.skip, limit: search.limit }));
+      }
+      
+      if (entries.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ No ${search.contentTypeId} entries match${total > 0 ? ` after the first ${search.skip}` : ''}`
+          }]
+        };
+      }
+      
+      const locale = await this.resolveLocale(args);
+      const lines = entries.map(entry =>
+        `[${search.contentTypeId}] ${entry.sys.id} "${displayLabel(entry.fields, contentType, locale)}" (${entryState(entry.sys)}) - ` +
+        `updated ${entry.sys.updatedAt.split('T')[0]}`);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `🔍 Showing ${search.skip + 1}-${search.skip + entries.length} of ${total} matches:\n${lines.join('\n')}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Query failed: ${error.message}`);
+    }
+  }
+
+  async createEntry(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    const { contentTypeId, fields: values } = CreateEntrySchema.parse(args);
+    const publishing = PublishSchema.parse(args);
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const model = await this.getContentModel(args);
+      const contentType = model.get(contentTypeId);
+      if (!contentType) {
+        throw new Error(`Unknown content type ${contentTypeId}. Available content types: ${[...model.keys()].join(', ')}`);
+      }
+      
+      const fields = await this.entryFieldValues(contentType, values, args);
+      const { defaultLocale } = await this.getLocales(args);
+      const missing = contentType.fields.filter(field => field.required && fields[field.id]?.[defaultLocale] === undefined);
+      if (missing.length > 0 && publishing.publish !== 'draft') {
+        throw new Error(`Missing required field(s) for publishing: ${missing.map(field => field.id).join(', ')}. ` +
+          'Pass publish: "draft" to save the entry without them');
+      }
+      
+      this.policy.checkContentType(contentTypeId);
+      const entry = await environment.createEntry(contentTypeId, { fields });
+      this.auditEntry(entry, args, { created: true });
+      const status = await this.applyPublishMode(entry, publishing, args);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully created ${contentTypeId} "${displayLabel(entry.fields, contentType, defaultLocale)}" (ID: ${entry.sys.id}) - ${status}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to create ${contentTypeId} entry: ${error.message}`);
+    }
+  }
+
+  async updateEntry(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    const { entryId, fields: values } = UpdateEntrySchema.parse(args);
+    const publishing = PublishSchema.parse(args);
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const entry = await environment.getEntry(entryId);
+      const contentTypeId = entry.sys.contentType.sys.id;
+      const contentType = (await this.getContentModel(args)).get(contentTypeId);
+      if (entry.isArchived()) {
+        throw new Error(`Entry ${entryId} is archived; publish_entry brings it back first`);
+      }
+      
+      const changes = await this.entryFieldValues(contentType, values, args);
+      const changed = [];
+      Object.entries(changes).forEach(([fieldId, byLocale]) => {
+        Object.entries(byLocale).forEach(([code, after]) => {
+          const before = entry.fields[fieldId]?.[code];
+          if (JSON.stringify(before) !== JSON.stringify(after ?? undefined)) {
+            changed.push({ fieldId, code, before, after });
+          }
+        });
+      });
+      
+      const { defaultLocale } = await this.getLocales(args);
+      const label = displayLabel(entry.fields, contentType, defaultLocale);
+      if (changed.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ No changes to apply to ${contentTypeId} "${label}" (ID: ${entryId}, version ${entry.sys.version})`
+          }]
+        };
+      }
+      
+      this.auditEntry(entry, args);
+      changed.forEach(({ fieldId, code, after }) => {
+        const field = { ...entry.fields[fieldId] };
+        if (after === null) {
+          delete field[code];
+        } else {
+          field[code] = after;
+        }
+        if (Object.keys(field).length === 0) {
+          delete entry.fields[fieldId];
+        } else {
+          entry.fields[fieldId] = field;
+        }
+      });
+      
+      let updated;
+      try {
+        updated = await entry.update();
+      } catch (error) {
+        if (error.name === 'VersionMismatch') {
+          throw new Error('Version conflict: the entry was changed by someone else while updating. Re-read the entry and retry.');
+        }
+        throw error;
+      }
+      const status = await this.applyPublishMode(updated, publishing, args);
+      
+      const diff = changed.map(({ fieldId, code, before, after }) =>
+        `~ ${fieldId} [${code}]: ${JSON.stringify(before) ?? '(empty)'} → ${after === null ? '(empty)' : JSON.stringify(after)}`);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully updated ${contentTypeId} "${displayLabel(updated.fields, contentType, defaultLocale)}" ` +
+            `(ID: ${entryId}, version ${updated.sys.version}) - ${status}\n${diff.join('\n')}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to update entry: ${error.message}`);
+    }
+  }
+
+  // Management API fields for the generic entry tools: plain values go to their field locale, links are
+  // resolved, and the values are checked against the content type; null (clear the field) is kept as is
+  async entryFieldValues(contentType, values, args) {
+    const definitions = new Map(contentType.fields.map(field => [field.id, field]));
+    const unknown = Object.keys(values).filter(fieldId => !definitions.has(fieldId));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown ${contentType.sys.id} field(s): ${unknown.join(', ')}. Fields: ${[...definitions.keys()].join(', ')}`);
+    }
+    
+    const { codes } = await this.getLocales(args);
+    const localeOf = await this.fieldLocales(contentType.sys.id, args);
+    const fields = {};
+    for (const [fieldId, value] of Object.entries(values)) {
+      // Links, locations and rich text are objects too, so only keys that are all locale codes make a locale map
+      const byLocale = isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(code => codes.includes(code))
+        ? value
+        : { [localeOf(fieldId)]: value };
+      fields[fieldId] = {};
+      for (const [code, item] of Object.entries(byLocale)) {
+        fields[fieldId][code] = item === null ? null : await this.resolveLinks(definitions.get(fieldId), item, args);
+      }
+    }
+    
+    const set = Object.fromEntries(Object.entries(fields).map(([fieldId, byLocale]) =>
+      [fieldId, Object.fromEntries(Object.entries(byLocale).filter(([, item]) => item !== null))]));
+    await this.checkContentModel(contentType.sys.id, set, args);
+    return fields;
+  }
+
+  async resolveLinks(field, value, args) {
+    if (field.type === 'Array' && field.items.type === 'Link' && Array.isArray(value)) {
+      const links = [];
+      for (const item of value) {
+        links.push(await this.resolveLink(field.items, item, field.id, args));
+      }
+      return links;
+    }
+    return field.type === 'Link' ? this.resolveLink(field, value, field.id, args) : value;
+  }
+
+  // A link from an ID, { id }, { lookup } on the display field of the linkable content types (title for assets),
+  // or a link object, which is passed on for validation
+  async resolveLink(definition, value, fieldId, args) {
+    if (value?.sys) return value;
+    
+    const { linkType } = definition;
+    const allowed = validationRule(definition, 'linkContentType');
+    const environment = await this.getEnvironment(args);
+    const link = id => ({ sys: { type: 'Link', linkType, id } });
+    
+    if (typeof value === 'string' || typeof value?.id === 'string') {
+      const id = typeof value === 'string' ? value : value.id;
+      const target = await (linkType === 'Asset' ? environment.getAsset(id) : environment.getEntry(id)).catch(error => {
+        if (error.name === 'NotFound') throw new Error(`${fieldId}: there is no ${linkType.toLowerCase()} ${id}`);
+        throw error;
+      });
+      const targetType = target.sys.contentType?.sys.id;
+      if (allowed && targetType && !allowed.includes(targetType)) {
+        throw new Error(`${fieldId}: ${id} is a ${targetType} entry, expected ${allowed.join(' or ')}`);
+      }
+      return link(id);
+    }
+    
+    if (typeof value?.lookup !== 'string') {
+      throw new Error(`${fieldId}: link to an ${linkType.toLowerCase()} by ID, { "id": ... }, { "lookup": ... } or a link object`);
+    }
+    
+    let matches;
+    let description;
+    if (linkType === 'Asset') {
+      ({ items: matches } = await environment.getAssets({ 'fields.title': value.lookup, limit: 2 }));
+      description = `asset titled "${value.lookup}"`;
+    } else {
+      const model = await this.getContentModel(args);
+      const contentTypeIds = value.contentType ? [value.contentType] : allowed || [...model.keys()];
+      const unknown = contentTypeIds.filter(id => !model.has(id) || (allowed && !allowed.includes(id)));
+      if (unknown.length > 0) {
+        throw new Error(`${fieldId}: can't link to ${unknown.join(', ')} entries${allowed ? `, only ${allowed.join(', ')}` : ''}`);
+      }
+      matches = [];
+      for (const contentTypeId of contentTypeIds) {
+        const { displayField } = model.get(contentTypeId);
+        if (!displayField) continue;
+        const { items } = await environment.getEntries({ content_type: contentTypeId, [`fields.${displayField}`]: value.lookup, limit: 2 });
+        matches.push(...items);
+      }
+      description = `${contentTypeIds.join('/')} entry titled "${value.lookup}"`;
+    }
+    
+    if (matches.length === 0) {
+      throw new Error(`${fieldId}: there is no ${description}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`${fieldId}: more than one ${description} (${matches.map(match => match.sys.id).join(', ')}); pass the ID instead`);
+    }
+    return link(matches[0].sys.id);
+  }
+
+  async updateEntrySEO(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const seoFields = Object.keys(EntrySEOSchema.shape);
+    const { entryId } = args;
+    let type;
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const entry = await environment.getEntry(entryId);
+      type = Object.values(EDITABLE_TYPES).find(editable => editable.contentType === entry.sys.contentType.sys.id);
+      if (!type) {
+        throw new Error(`Entry ${entryId} is a ${entry.sys.contentType.sys.id} entry, expected one of ${Object.values(CONTENT_TYPES).join(', ')}`);
+      }
+      
+      const definition = await environment.getContentType(type.contentType);
+      const missing = seoFields
+        .filter(fieldName => args[fieldName] !== undefined)
+        .filter(fieldName => !definition.fields.some(field => field.id === fieldName));
+      if (missing.length > 0) {
+        throw new Error(`${type.contentType} has no ${missing.join(', ')} field(s); run add_seo_fields first`);
+      }
+    } catch (error) {
+      throw new Error(`Failed to update entry SEO: ${error.message}`);
+    }
+    
+    // The SEO fields go through the same validated, locale-aware update as the other update tools
+    const fields = Object.fromEntries(seoFields
+      .filter(fieldName => args[fieldName] !== undefined)
+      .map(fieldName => [fieldName, args[fieldName]]));
+    const rest = Object.fromEntries(Object.entries(args).filter(([key]) => !seoFields.includes(key)));
+    
+    return this.updateEntryFields(
+      { contentType: type.contentType, label: `${type.label} SEO`, schema: EntrySEOSchema, listFields: [] },
+      { ...rest, fields }
+    );
+  }
+
+  async describeContentModel(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    const format = args.format || 'text';
+    
+    try {
+      const model = await this.getContentModel(args, { refresh: args.refresh });
+      if (args.contentTypeId && !model.has(args.contentTypeId)) {
+        throw new Error(`Unknown content type ${args.contentTypeId}. Available content types: ${[...model.keys()].join(', ')}`);
+      }
+      const contentTypes = args.contentTypeId ? [model.get(args.contentTypeId)] : [...model.values()];
+      
+      // Compare the content types the built-in tools write with their schemas
+      const builtIn = Object.values(EDITABLE_TYPES);
+      const drift = Object.fromEntries(builtIn
+        .filter(type => model.has(type.contentType))
+        .map(type => [type.contentType, schemaDrift(type.schema, model.get(type.contentType), type.fieldIds)]));
+      const missing = args.contentTypeId ? [] : builtIn.filter(type => !model.has(type.contentType));
+      
+      if (format === 'schema') {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(Object.fromEntries(contentTypes.map(contentType =>
+              [contentType.sys.id, contentTypeInputSchema(contentType)])), null, 2)
+          }]
+        };
+      }
+      
+      if (format === 'json') {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(contentTypes.map(contentType => ({
+              id: contentType.sys.id,
+              ...contentTypeDefinition(contentType),
+              ...(drift[contentType.sys.id] && { drift: drift[contentType.sys.id] })
+            })), null, 2)
+          }]
+        };
+      }
+      
+      const blocks = contentTypes.map(contentType => {
+        const lines = [
+          `${contentType.sys.id} "${contentType.name}" (display field: ${contentType.displayField || 'none'}` +
+            `${contentType.sys.publishedVersion ? '' : ', not published'})`,
+          ...contentType.fields.map(field => `  ${fieldSummary(field)}`)
+        ];
+        const issues = drift[contentType.sys.id];
+        if (issues?.length) {
+          lines.push('  ⚠️ Differs from the built-in tools:', ...issues.map(issue => `    - ${issue}`));
+        } else if (issues) {
+          lines.push('  ✅ Matches the built-in tools');
+        }
+        return lines.join('\n');
+      });
+      const warnings = missing.map(type => `⚠️ There is no ${type.contentType} content type, so the ${type.label} tools cannot write`);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `📐 ${contentTypes.length} content type${contentTypes.length === 1 ? '' : 's'} in ${this.resolveTarget(args).environmentId}:\n\n${blocks.join('\n\n')}` +
+            (warnings.length ? `\n\n${warnings.join('\n')}` : '')
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to describe content model: ${error.message}`);
+    }
+  }
+
+  async createContentType(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    const { contentTypeId, dryRun: dryRunArg, ...definition } = CreateContentTypeSchema.parse(args);
+    const dryRun = dryRunArg !== false;
+    definition.displayField = definition.displayField || definition.fields.find(field => field.type === 'Symbol')?.id;
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const model = await this.getContentModel(args, { refresh: true });
+      if (model.has(contentTypeId)) {
+        throw new Error(`Content type ${contentTypeId} already exists; use add_field to extend it`);
+      }
+      this.checkLinkedTypes(definition.fields, model, contentTypeId);
+      
+      const summary = `${contentTypeId} "${definition.name}" (display field: ${definition.displayField || 'none'})\n` +
+        definition.fields.map(field => `+ ${fieldSummary(field)}`).join('\n');
+      if (dryRun) {
+        return {
+          content: [{
+            type: 'text',
+            text: `🔍 Dry run: content type to create in ${this.resolveTarget(args).environmentId}:\n${summary}\n\n` +
+              'Run again with dryRun: false to create and publish it'
+          }]
+        };
+      }
+      
+      this.policy.checkContentType(contentTypeId);
+      const contentType = await environment.createContentTypeWithId(contentTypeId, definition);
+      this.auditContentType(contentType, args, { created: true });
+      await contentType.publish();
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Created and published content type ${summary}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to create content type: ${error.message}`);
+    }
+  }
+
+  async addField(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    const { contentTypeId, field, dryRun: dryRunArg } = AddFieldSchema.parse(args);
+    const dryRun = dryRunArg !== false;
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const model = await this.getContentModel(args, { refresh: true });
+      const contentType = model.get(contentTypeId);
+      if (!contentType) {
+        throw new Error(`Unknown content type ${contentTypeId}. Available content types: ${[...model.keys()].join(', ')}`);
+      }
+      if (contentType.fields.some(existing => existing.id === field.id)) {
+        throw new Error(`${contentTypeId} already has a ${field.id} field`);
+      }
+      this.checkLinkedTypes([field], model, contentTypeId);
+      
+      const warnings = [];
+      if (field.required) {
+        const { total } = await environment.getEntries({ content_type: contentTypeId, limit: 1 });
+        if (total > 0) {
+          warnings.push(`⚠️ ${total} existing ${contentTypeId} entries have no ${field.id}; they can't be published again until it is filled in`);
+        }
+      }
+      const summary = `+ ${fieldSummary(field)}${warnings.length ? `\n${warnings.join('\n')}` : ''}`;
+      
+      if (dryRun) {
+        return {
+          content: [{
+            type: 'text',
+            text: `🔍 Dry run: field to add to ${contentTypeId}:\n${summary}\n\nRun again with dryRun: false to add it and publish the content type`
+          }]
+        };
+      }
+      
+      this.auditContentType(contentType, args);
+      contentType.fields.push(field);
+      const updated = await contentType.update();
+      await updated.publish();
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Added a field to ${contentTypeId} and published the content type:\n${summary}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to add field: ${error.message}`);
+    }
+  }
+
+  // Link fields may only be restricted to content types that exist (or the one being created)
+  checkLinkedTypes(fields, model, contentTypeId) {
+    const linked = fields.flatMap(field => [
+      ...(validationRule(field, 'linkContentType') || []),
+      ...(field.items ? validationRule(field.items, 'linkContentType') || [] : [])
+    ]);
+    const unknown = linked.filter(id => id !== contentTypeId && !model.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`linkContentType refers to unknown content type(s): ${[...new Set(unknown)].join(', ')}`);
+    }
+  }
+
+  async addSEOFields(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const sections = args.contentTypes?.length ? args.contentTypes : Object.keys(CONTENT_TYPES);
+    const dryRun = args.dryRun !== false;
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const report = [];
+      
+      for (const section of sections) {
+        const contentType = await environment.getContentType(CONTENT_TYPES[section]);
+        const existing = new Set(contentType.fields.map(field => field.id));
+        const missing = SEO_FIELDS.filter(field => !existing.has(field.id));
+        
+        if (missing.length === 0) {
+          report.push(`${contentType.sys.id}: all SEO fields present`);
+          continue;
+        }
+        
+        if (!dryRun) {
+          this.auditContentType(contentType, args);
+          contentType.fields.push(...missing.map(field => ({ required: false, validations: [], ...field })));
+          const updated = await contentType.update();
+          await updated.publish();
+        }
+        report.push(`${contentType.sys.id}: ${dryRun ? 'would add' : 'added'} ${missing.map(field => field.id).join(', ')}`);
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? '🔍 Dry run: SEO fields' : '✅ SEO fields updated'}\n${report.join('\n')}` +
+            (dryRun ? '\n\nRun again with dryRun: false to add the fields and publish the content types' : '')
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to add SEO fields: ${error.message}`);
+    }
+  }
+
+  async addAITerm(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const validatedTerm = localizable(await this.liveFieldSchema(EDITABLE_TYPES.term, args)).parse(args);
+    const publishing = PublishSchema.parse(args);
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const locale = await this.resolveLocale(args);
+      
+      this.policy.checkContentType('aiTerm');
+      const entry = await environment.createEntry('aiTerm', {
+        fields: await this.localizedFields(validatedTerm, 'aiTerm', args)
+      });
+      this.auditEntry(entry, args, { created: true });
+      
+      const status = await this.applyPublishMode(entry, publishing, args);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully added AI term "${localeValue(validatedTerm.term, locale)}" to Contentful (ID: ${entry.sys.id}) - ${status}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to add AI term: ${error.message}`);
+    }
+  }
+
+  async createCategoryPage(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const { name, ...validatedCategory } = localizable(await this.liveFieldSchema(EDITABLE_TYPES.category, args)).parse(args);
+    const publishing = PublishSchema.parse(args);
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const locale = await this.resolveLocale(args);
+      
+      // The content type stores the category name as its title
+      this.policy.checkContentType('categoryPage');
+      const entry = await environment.createEntry('categoryPage', {
+        fields: await this.localizedFields({ title: name, ...validatedCategory }, 'categoryPage', args)
+      });
+      this.auditEntry(entry, args, { created: true });
+      
+      const status = await this.applyPublishMode(entry, publishing, args);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully created category page "${localeValue(name, locale)}" (ID: ${entry.sys.id}) - ${status}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to create category page: ${error.message}`);
+    }
+  }
+
+  async listDrafts(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const sections = args.contentTypes?.length ? args.contentTypes : Object.keys(CONTENT_TYPES);
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const space = await this.getSpace(args);
+      
+      const scheduled = await space.getScheduledActions({
+        'environment.sys.id': this.resolveTarget(args).environmentId,
+        'sys.status': 'scheduled'
+      });
+      const scheduledByEntry = new Map();
+      scheduled.items.forEach(action => {
+        const list = scheduledByEntry.get(action.entity.sys.id) || [];
+        list.push(`${action.action} at ${action.scheduledFor.datetime}`);
+        scheduledByEntry.set(action.entity.sys.id, list);
+      });
+      
+      const lines = [];
+      for (const section of sections) {
+        const contentType = CONTENT_TYPES[section];
+        const entries = await fetchAll(query => environment.getEntries(query), { content_type: contentType });
+        
+        entries
+          .filter(entry => ['draft', 'changed'].includes(entryState(entry.sys)))
+          .forEach(entry => {
+            const pending = scheduledByEntry.get(entry.sys.id);
+            lines.push(`[${contentType}] ${entry.sys.id} "${entryLabel(entry.fields)}" - ${entryState(entry.sys)}, ` +
+              `updated ${entry.sys.updatedAt}${pending ? ` ⏰ ${pending.join(', ')}` : ''}`);
+          });
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: lines.length === 0
+            ? '✅ No drafts awaiting review'
+            : `📝 ${lines.length} entries awaiting review:\n${lines.join('\n')}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Listing drafts failed: ${error.message}`);
+    }
+  }
+
+  async publishEntry(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      let entry = await environment.getEntry(args.entryId);
+      
+      this.auditEntry(entry, args);
+      if (entry.isArchived()) {
+        entry = await entry.unarchive();
+      }
+      await entry.publish();
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully published "${entryLabel(entry.fields)}" (ID: ${args.entryId})`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to publish entry: ${error.message}`);
+    }
+  }
+
+  async unpublishEntry(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const entry = await environment.getEntry(args.entryId);
+      
+      if (!entry.isPublished()) {
+        throw new Error(`Entry ${args.entryId} is not published`);
+      }
+      this.auditEntry(entry, args);
+      await entry.unpublish();
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully unpublished "${entryLabel(entry.fields)}" (ID: ${args.entryId})`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to unpublish entry: ${error.message}`);
+    }
+  }
+
+  async archiveEntry(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      let entry = await environment.getEntry(args.entryId);
+      
+      if (entry.isArchived()) {
+        throw new Error(`Entry ${args.entryId} is already archived`);
+      }
+      this.auditEntry(entry, args);
+      if (entry.isPublished()) {
+        entry = await entry.unpublish();
+      }
+      await entry.archive();
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully archived "${entryLabel(entry.fields)}" (ID: ${args.entryId})`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to archive entry: ${error.message}`);
+    }
+  }
+
+  async schedulePublish(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const action = args.action || 'publish';
+    const publishing = PublishSchema.parse({ ...args, publish: 'schedule' });
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const entry = await environment.getEntry(args.entryId);
+      this.policy.checkContentType(entry.sys.contentType.sys.id);
+      const scheduledAction = await this.createScheduledAction(entry.sys.id, action, publishing, args);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `⏰ Scheduled ${action} of "${entryLabel(entry.fields)}" (ID: ${args.entryId}) at ` +
+            `${new Date(publishing.scheduledAt).toISOString()} (scheduled action: ${scheduledAction.sys.id})`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to schedule ${action}: ${error.message}`);
+    }
+  }
+
+  async searchContent(args = {}) {
+    const deliveryClient = this.resolveTarget(args).delivery;
+    if (!deliveryClient) {
+      throw new Error('Contentful delivery client not available');
+    }
+
+    const search = SearchSchema.parse(args);
+    const sections = search.contentTypes?.length ? search.contentTypes : Object.keys(CONTENT_TYPES);
+    
+    try {
+      const filters = {
+        category: search.category && { 'fields.category': search.category },
+        pricing: search.pricing && { 'fields.pricing': search.pricing },
+        tags: search.tags?.length && { 'fields.tags[in]': search.tags.join(',') },
+        isAITool: search.isAITool !== undefined && { 'fields.isAITool': search.isAITool }
+      };
+      
+      let results = [];
+      for (const section of sections) {
+        const contentType = CONTENT_TYPES[section];
+        const query = { content_type: contentType };
+        
+        // A content type without the filtered field can never match
+        const unsupported = Object.keys(filters)
+          .filter(field => filters[field] && !FILTER_FIELDS[contentType].includes(field));
+        if (unsupported.length > 0) continue;
+        
+        Object.values(filters).forEach(filter => Object.assign(query, filter || {}));
+        if (search.query) query.query = search.query;
+        if (search.locale) query.locale = search.locale;
+        if (search.updatedSince) query['sys.updatedAt[gte]'] = new Date(search.updatedSince).toISOString();
+        
+        results.push(...await fetchAll(page => deliveryClient.getEntries(page), query));
+      }
+      
+      const descending = search.sort.startsWith('-');
+      const sortKey = search.sort.replace(/^-/, '');
+      const sortValue = entry => sortKey === 'name'
+        ? String(entryLabel(entry.fields)).toLowerCase()
+        : entry.sys[sortKey];
+      results.sort((a, b) => {
+        const order = sortValue(a) < sortValue(b) ? -1 : sortValue(a) > sortValue(b) ? 1 : 0;
+        return descending ? -order : order;
+      });
+      
+      const total = results.length;
+      const page = results.slice(search.offset, search.offset + search.limit);
+      const range = total > 0 ? `${search.offset + 1}-${search.offset + page.length} of ${total}` : '0';
+      
+      if (search.fields?.length) {
+        const projected = page.map(entry => ({
+          id: entry.sys.id,
+          contentType: entry.sys.contentType.sys.id,
+          updatedAt: entry.sys.updatedAt,
+          ...Object.fromEntries(search.fields
+            .filter(field => entry.fields[field] !== undefined)
+            .map(field => [field, entry.fields[field]]))
+        }));
+        
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({ total, offset: search.offset, results: projected }, null, 2)
+          }]
+        };
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: total === 0
+            ? '🔍 No matching content found'
+            : `🔍 Showing ${range} matches:\n${page.map(summarizeEntry).join('\n')}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Search failed: ${error.message}`);
+    }
+  }
+
+  async listAITools(args = {}) {
+    return this.searchContent({ ...args, contentTypes: ['tools'] });
+  }
+
+  async importContent(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const transfer = TRANSFER_TYPES[args.contentType];
+    if (!transfer) {
+      throw new Error(`Unsupported content type for import: ${args.contentType}`);
+    }
+    
+    const publishing = PublishSchema.parse(args);
+    
+    try {
+      const filePath = path.resolve(SITE_ROOT, args.file);
+      if (!isInsideSiteRoot(filePath)) {
+        throw new Error(`Cannot read ${args.file}: it is outside the site root`);
+      }
+      const format = fileFormat(filePath, args.format);
+      const text = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+      
+      let rows;
+      if (format === 'csv') {
+        rows = parseCSV(text);
+      } else {
+        const data = format === 'json' ? JSON.parse(text) : yaml.parse(text);
+        rows = Array.isArray(data) ? data : data?.[args.contentType];
+      }
+      if (!Array.isArray(rows)) {
+        throw new Error(`Expected a list of ${args.contentType} in ${args.file}`);
+      }
+      
+      const environment = await this.getEnvironment(args);
+      const locale = await this.resolveLocale(args);
+      const localeOf = await this.fieldLocales(transfer.contentType, args);
+      const { defaultLocale } = await this.getLocales(args);
+      
+      // Rows match existing entries by name in the default or the imported locale
+      const existing = await fetchAll(query => environment.getEntries(query), { content_type: transfer.contentType });
+      const byId = new Map(existing.map(entry => [entry.sys.id, entry]));
+      const byName = new Map();
+      existing.forEach(entry => [defaultLocale, locale].forEach(code => {
+        const name = entry.fields[transfer.nameField]?.[code];
+        if (name && !byName.has(slugify(name))) byName.set(slugify(name), entry);
+      }));
+      
+      const report = [];
+      const counts = { created: 0, updated: 0, skipped: 0, failed: 0 };
+      
+      for (const [index, row] of rows.entries()) {
+        // Header is line 1 in CSV files
+        const label = `Row ${format === 'csv' ? index + 2 : index + 1}`;
+        const record = (status, message) => {
+          counts[status]++;
+          report.push(`${label} ${status}: ${message}`);
+        };
+        
+        const parsed = transfer.schema.safeParse(coerceRow(row, transfer.schema));
+        if (!parsed.success) {
+          record('failed', formatIssues(parsed.error, 'row'));
+          continue;
+        }
+        
+        const values = parsed.data;
+        const name = values[transfer.nameField];
+        const match = (row.id && byId.get(String(row.id).trim())) || byName.get(slugify(name));
+        const fields = {};
+        Object.entries(values).forEach(([key, value]) => {
+          if (value !== undefined) fields[key] = { [localeOf(key)]: value };
+        });
+        
+        try {
+          if (!match) {
+            if (!args.dryRun) {
+              this.policy.checkContentType(transfer.contentType);
+              const entry = await environment.createEntry(transfer.contentType, { fields });
+              this.auditEntry(entry, args, { created: true });
+              const status = await this.applyPublishMode(entry, publishing, args);
+              byName.set(slugify(name), entry);
+              record('created', `"${name}" (ID: ${entry.sys.id}) - ${status}`);
+            } else {
+              // Later rows with the same name then match it, as they would in a real run
+              byName.set(slugify(name), { sys: { id: `created by ${label}` }, fields });
+              record('created', `"${name}" (dry run)`);
+            }
+            continue;
+          }
+          
+          const changed = Object.keys(fields)
+            .filter(key => JSON.stringify(fields[key][localeOf(key)]) !== JSON.stringify(match.fields[key]?.[localeOf(key)]));
+          
+          if (args.updateExisting === false) {
+            record('skipped', `"${name}" already exists (ID: ${match.sys.id})`);
+          } else if (changed.length === 0) {
+            record('skipped', `"${name}" unchanged (ID: ${match.sys.id})`);
+          } else if (args.dryRun) {
+            const planned = { sys: match.sys, fields: { ...match.fields } };
+            changed.forEach(key => {
+              planned.fields[key] = { ...match.fields[key], ...fields[key] };
+            });
+            byId.set(match.sys.id, planned);
+            byName.set(slugify(name), planned);
+            record('updated', `"${name}" (ID: ${match.sys.id}) [${changed.join(', ')}] (dry run)`);
+          } else {
+            this.auditEntry(match, args);
+            changed.forEach(key => {
+              match.fields[key] = { ...match.fields[key], ...fields[key] };
+            });
+            const updated = await match.update();
+            const status = await this.applyPublishMode(updated, publishing, args);
+            byId.set(updated.sys.id, updated);
+            byName.set(slugify(name), updated);
+            record('updated', `"${name}" (ID: ${match.sys.id}) [${changed.join(', ')}] - ${status}`);
+          }
+        } catch (error) {
+          record('failed', `"${name}" ${error.message}`);
+        }
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `${counts.failed === 0 ? '✅' : '⚠️'} Imported ${rows.length} ${args.contentType} from ${args.file}${args.dryRun ? ' (dry run)' : ''}: ` +
+            `${counts.created} created, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.failed} failed\n\n${report.join('\n')}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Import failed: ${error.message}`);
+    }
+  }
+
+  async exportContent(args) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const transfer = TRANSFER_TYPES[args.contentType];
+    if (!transfer) {
+      throw new Error(`Unsupported content type for export: ${args.contentType}`);
+    }
+    
+    try {
+      const filePath = path.resolve(SITE_ROOT, args.file);
+      if (!isInsideSiteRoot(filePath)) {
+        throw new Error(`Cannot write ${args.file}: it is outside the site root`);
+      }
+      const format = fileFormat(filePath, args.format);
+      
+      const environment = await this.getEnvironment(args);
+      const locale = await this.resolveLocale(args);
+      const localeOf = await this.fieldLocales(transfer.contentType, args);
+      const entries = await fetchAll(query => environment.getEntries(query), { content_type: transfer.contentType });
+      
+      const columns = ['id', ...Object.keys(transfer.schema.shape)];
+      const rows = entries.map(entry => {
+        const row = { id: entry.sys.id };
+        Object.keys(transfer.schema.shape).forEach(key => {
+          const value = entry.fields[key]?.[localeOf(key)];
+          if (value !== undefined) row[key] = value;
+        });
+        return row;
+      });
+      
+      let output;
+      if (format === 'csv') {
+        output = toCSV(rows.map(row => Object.fromEntries(Object.entries(row)
+          .map(([key, value]) => [key, Array.isArray(value) ? value.join(CSV_LIST_SEPARATOR) : value]))), columns);
+      } else if (format === 'json') {
+        output = JSON.stringify(rows, null, 2) + '\n';
+      } else {
+        output = yaml.stringify(rows);
+      }
+      
+      await this.writeSiteFile(filePath, output);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Exported ${rows.length} ${args.contentType} to ${path.relative(SITE_ROOT, filePath)} (${format}, ${locale})`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Export failed: ${error.message}`);
+    }
+  }
+
+  async translationStatus(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const sections = args.contentTypes?.length ? args.contentTypes : Object.keys(CONTENT_TYPES);
+    const limit = args.limit || 50;
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const { codes, defaultLocale } = await this.getLocales(args);
+      
+      const locales = args.locales?.length ? args.locales : codes.filter(code => code !== defaultLocale);
+      const unknown = locales.filter(code => !codes.includes(code));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown locale(s): ${unknown.join(', ')}. Available locales: ${codes.join(', ')}`);
+      }
+      if (locales.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ The space only has its default locale (${defaultLocale}), nothing to translate`
+          }]
+        };
+      }
+      
+      const hasValue = value => value !== undefined && value !== null && value !== '' &&
+        !(Array.isArray(value) && value.length === 0);
+      const missing = Object.fromEntries(locales.map(code => [code, []]));
+      const notes = [];
+      let checked = 0;
+      
+      for (const section of sections) {
+        const contentType = CONTENT_TYPES[section];
+        const definition = await environment.getContentType(contentType);
+        const localizedFields = definition.fields
+          .filter(field => field.localized && !field.disabled && !field.omitted)
+          .map(field => field.id);
+        
+        if (localizedFields.length === 0) {
+          notes.push(`${section} (${contentType}) has no localized fields`);
+          continue;
+        }
+        
+        const entries = await fetchAll(query => environment.getEntries(query), { content_type: contentType });
+        for (const entry of entries) {
+          if (entry.sys.archivedVersion) continue;
+          checked++;
+          
+          // Only fields filled in the default locale need a translation
+          const translatable = localizedFields.filter(fieldId => hasValue(entry.fields[fieldId]?.[defaultLocale]));
+          locales.forEach(code => {
+            const fields = translatable.filter(fieldId => !hasValue(entry.fields[fieldId]?.[code]));
+            if (fields.length > 0) {
+              missing[code].push(`[${contentType}] ${entry.sys.id} "${entryLabel(entry.fields, defaultLocale)}" - missing: ${fields.join(', ')}`);
+            }
+          });
         }
       }
-    );
+      
+      const report = locales.map(code => {
+        const lines = missing[code];
+        const complete = checked > 0 ? Math.round((checked - lines.length) / checked * 100) : 100;
+        const header = `${lines.length === 0 ? '✅' : '⚠️'} ${code}: ${lines.length} of ${checked} entries missing translations (${complete}% complete)`;
+        const more = lines.length > limit ? [`  ... and ${lines.length - limit} more`] : [];
+        return [header, ...lines.slice(0, limit).map(line => `  ${line}`), ...more].join('\n');
+      });
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `🌐 Translation status against ${defaultLocale} (${sections.join(', ')}):\n\n${report.join('\n\n')}` +
+            `${notes.length ? `\n\nℹ️ ${notes.join('\nℹ️ ')}` : ''}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Translation status failed: ${error.message}`);
+    }
+  }
 
-    this.setupHandlers();
+  // Current SEO settings, seeded from the component's siteUrl when there is no settings file yet
+  async readSEOConfig() {
+    if (await fs.pathExists(SEO_CONFIG_FILE)) {
+      return fs.readJson(SEO_CONFIG_FILE);
+    }
+    
+    const config = {};
+    if (await fs.pathExists(SEO_COMPONENT_FILE)) {
+      const component = await fs.readFile(SEO_COMPONENT_FILE, 'utf8');
+      const siteUrl = component.match(/const siteUrl\s*=[^;]*?'https:\/\/([^'\/]+)/);
+      if (siteUrl) config.domain = siteUrl[1];
+    }
+    return config;
   }
 
-  setupHandlers() {
-    // Resources handler
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  async updateSEOConfig(args = {}) {
+    const { dryRun: dryRunArg, ...settings } = args;
+    const updates = SEOConfigSchema.strict().parse(settings);
+    const dryRun = dryRunArg !== false;
+    
+    if (Object.keys(updates).length === 0) {
+      throw new Error(`Nothing to update. Pass any of: ${Object.keys(SEOConfigSchema.shape).join(', ')}`);
+    }
+    
+    try {
+      const before = await this.readSEOConfig();
+      const after = { ...before, ...updates };
+      
+      const diff = Object.keys(updates)
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+        .map(key => `~ ${key}: ${JSON.stringify(before[key]) ?? '(unset)'} → ${JSON.stringify(after[key])}`);
+      const relativePath = path.relative(SITE_ROOT, SEO_CONFIG_FILE);
+      const componentPath = path.relative(SITE_ROOT, SEO_COMPONENT_FILE);
+      
+      // Until the component imports the settings file, the settings are also written into it
+      const component = await fs.pathExists(SEO_COMPONENT_FILE) ? await fs.readFile(SEO_COMPONENT_FILE, 'utf8') : '';
+      const componentUpdate = component && !component.includes('config/seo')
+        ? applySEOToComponent(component, before, after)
+        : null;
+      const missing = Object.keys(updates).filter(key => key !== 'routes' && componentUpdate && !componentUpdate.applied.has(key));
+      const warning = missing.length > 0
+        ? `\n\n⚠️ ${componentPath} has no literal value for ${missing.join(', ')} and does not import ${relativePath}, so ${missing.length > 1 ? 'these settings do' : 'this setting does'} not reach the site until it does`
+        : '';
+      
+      if (diff.length === 0 && !componentUpdate?.changes.length) {
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ SEO settings in ${relativePath} already match, nothing to change${warning}`
+          }]
+        };
+      }
+      
+      const changes = [
+        ...(diff.length > 0 ? [`${relativePath}:`, ...diff] : []),
+        ...(componentUpdate?.changes.length ? [`${componentPath}:`, ...componentUpdate.changes] : [])
+      ].join('\n');
+      
+      if (dryRun) {
+        return {
+          content: [{
+            type: 'text',
+            text: `🔍 Dry run: SEO changes\n${changes}\n\nRun again with dryRun: false to write them${warning}`
+          }]
+        };
+      }
+      
+      const writes = [[SEO_CONFIG_FILE, JSON.stringify(after, null, 2) + '\n']];
+      if (componentUpdate?.changes.length) writes.push([SEO_COMPONENT_FILE, componentUpdate.text]);
+      for (const [filePath, content] of writes) {
+        await this.writeSiteFile(filePath, content);
+      }
+      
       return {
-        resources: [
-          {
-            uri: 'contentful://tools',
-            mimeType: 'application/json',
-            name: 'AI Tools from Contentful',
-            description: 'List of all AI tools in Contentful CMS'
-          },
-          {
-            uri: 'contentful://terms',
-            mimeType: 'application/json',
-            name: 'AI Terms from Contentful',
-            description: 'List of all AI terminology in Contentful CMS'
-          },
-          {
-            uri: 'contentful://categories',
-            mimeType: 'application/json',
-            name: 'Categories from Contentful',
-            description: 'List of all categories in Contentful CMS'
-          },
-          {
-            uri: 'file://site-config',
-            mimeType: 'application/json',
-            name: 'Site Configuration',
-            description: 'Current site configuration and settings'
-          },
-          {
-            uri: 'file://seo-config',
-            mimeType: 'application/json',
-            name: 'SEO Configuration',
-            description: 'SEO meta tags and configuration'
-          },
-          {
-            uri: 'file://mock-data',
-            mimeType: 'application/json',
-            name: 'Mock Data',
-            description: 'Fallback mock data for development'
-          }
-        ]
+        content: [{
+          type: 'text',
+          text: `✅ Successfully updated SEO settings\n${changes}${warning}`
+        }]
       };
-    });
+    } catch (error) {
+      throw new Error(`Failed to update SEO config: ${error.message}`);
+    }
+  }
 
-    // Read resource handler
-    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-      const { uri } = request.params;
+  // https:// URL of the public site from the domain argument, SITE_DOMAIN or the SEO settings
+  async siteUrl(args = {}) {
+    const domain = args.domain || SITE_DOMAIN || (await this.readSEOConfig()).domain;
+    if (!domain) {
+      throw new Error('No site domain: set SITE_DOMAIN, pass domain, or set it with update_seo_config');
+    }
+    return `https://${domain.replace(/^https?:\/\//, '').replace(/\/+$/, '')}`;
+  }
+
+  // Record the files a generator wrote in this run and remove those it wrote last time but not now
+  async replaceGeneratedFiles(generator, files) {
+    const manifest = await fs.readJson(GENERATED_FILES_FILE).catch(() => ({}));
+    const current = files.map(file => path.relative(SITE_ROOT, file));
+    const stale = (manifest[generator] || []).filter(file => !current.includes(file));
+    
+    for (const file of stale) {
+      await this.removeSiteFile(path.join(SITE_ROOT, file));
+    }
+    await this.writeSiteJson(GENERATED_FILES_FILE, { ...manifest, [generator]: current }, { audit: false });
+  }
+
+  // Published pages of every content type with their public URLs
+  async loadSitePages(args = {}) {
+    const deliveryClient = this.resolveTarget(args).delivery;
+    if (!deliveryClient) {
+      throw new Error('Contentful delivery client not available');
+    }
+    
+    const siteUrl = await this.siteUrl(args);
+    const routes = { ...DEFAULT_ROUTES, ...(await this.readSEOConfig()).routes };
+    const pages = [];
+    
+    for (const [section, contentType] of Object.entries(CONTENT_TYPES)) {
+      const entries = await fetchAll(query => deliveryClient.getEntries(query), { content_type: contentType });
+      entries.forEach(entry => {
+        const slug = entrySlug(entry.fields);
+        if (!slug) return;
+        pages.push({
+          section,
+          contentType,
+          entry,
+          slug,
+          noindex: entry.fields.noindex === true,
+          url: `${siteUrl}${routes[section].replace(':slug', encodeURIComponent(slug))}`
+        });
+      });
+    }
+    return { siteUrl, routes, pages };
+  }
+
+  async generateSitemap(args = {}) {
+    try {
+      const { siteUrl, routes, pages } = await this.loadSitePages(args);
+      const indexed = pages.filter(page => !page.noindex);
+      const lastmod = items => items.map(page => page.entry.sys.updatedAt).sort().pop()?.split('T')[0];
       
-      try {
-        if (uri.startsWith('contentful://')) {
-          return await this.readContentfulResource(uri);
-        } else if (uri.startsWith('file://')) {
-          return await this.readFileResource(uri);
-        } else {
-          throw new McpError(ErrorCode.InvalidRequest, `Unknown resource URI: ${uri}`);
+      // The home page and each section's listing page change whenever one of their entries does
+      const urls = [{ loc: `${siteUrl}/`, lastmod: lastmod(indexed) }];
+      Object.entries(routes).forEach(([section, route]) => {
+        const listing = route.split('/:slug')[0];
+        if (listing) urls.push({ loc: `${siteUrl}${listing}`, lastmod: lastmod(indexed.filter(page => page.section === section)) });
+      });
+      indexed.forEach(page => urls.push({ loc: page.url, lastmod: page.entry.sys.updatedAt.split('T')[0] }));
+      
+      const seen = new Set();
+      const unique = urls.filter(url => !seen.has(url.loc) && seen.add(url.loc));
+      const duplicates = urls.length - unique.length;
+      
+      // Checked up front, so a sitemap.xml or manifest the policy denies leaves no parts behind
+      this.policy.checkPath(path.join(PUBLIC_DIR, 'sitemap.xml'));
+      this.policy.checkPath(GENERATED_FILES_FILE);
+      const files = [];
+      const parts = [];
+      if (unique.length <= SITEMAP_MAX_URLS) {
+        await this.writeSiteFile(path.join(PUBLIC_DIR, 'sitemap.xml'), sitemapXml(unique));
+        files.push('sitemap.xml');
+      } else {
+        for (let start = 0; start < unique.length; start += SITEMAP_MAX_URLS) {
+          const file = `sitemap-${parts.length + 1}.xml`;
+          await this.writeSiteFile(path.join(PUBLIC_DIR, file), sitemapXml(unique.slice(start, start + SITEMAP_MAX_URLS)));
+          parts.push(file);
         }
-      } catch (error) {
-        throw new McpError(ErrorCode.InternalError, `Failed to read resource: ${error.message}`);
+        const index = parts.map(file => `  <sitemap>\n    <loc>${escapeXml(`${siteUrl}/${file}`)}</loc>\n  </sitemap>`);
+        await this.writeSiteFile(path.join(PUBLIC_DIR, 'sitemap.xml'), '<?xml version="1.0" encoding="UTF-8"?>\n' +
+          `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${index.join('\n')}\n</sitemapindex>\n`);
+        files.push('sitemap.xml (index)', ...parts);
       }
-    });
+      
+      // Remove the parts of an earlier, larger sitemap
+      await this.replaceGeneratedFiles('sitemap', parts.map(file => path.join(PUBLIC_DIR, file)));
+      
+      const bySection = Object.keys(CONTENT_TYPES)
+        .map(section => `${section}: ${indexed.filter(page => page.section === section).length}`);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Sitemap written to ${path.relative(SITE_ROOT, PUBLIC_DIR)}/${files.join(', ')}: ${unique.length} URLs for ${siteUrl} (${bySection.join(', ')})` +
+            (pages.length > indexed.length ? `\nℹ️ Skipped ${pages.length - indexed.length} noindex entries` : '') +
+            (duplicates ? `\n⚠️ Skipped ${duplicates} duplicate URLs, run audit_seo to find the slug collisions` : '')
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Sitemap generation failed: ${error.message}`);
+    }
+  }
 
-    // Tools handler
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  async generateRobotsTxt(args = {}) {
+    try {
+      const siteUrl = await this.siteUrl(args);
+      const rules = args.disallowAll
+        ? ['Disallow: /']
+        : ['Allow: /', ...(args.disallow || []).map(rulePath => `Disallow: ${rulePath.startsWith('/') ? rulePath : `/${rulePath}`}`)];
+      const content = `User-agent: *\n${rules.join('\n')}\n\nSitemap: ${siteUrl}/sitemap.xml\n`;
+      
+      await this.writeSiteFile(path.join(PUBLIC_DIR, 'robots.txt'), content);
+      
       return {
-        tools: [
-          {
-            name: 'add_ai_tool',
-            description: 'Add a new AI tool to Contentful',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: { type: 'string', description: 'Tool name' },
-                description: { type: 'string', description: 'Tool description' },
-                category: { type: 'string', description: 'Tool category' },
-                website: { type: 'string', description: 'Tool website URL' },
-                pricing: { type: 'string', enum: ['free', 'freemium', 'paid'] },
-                tags: { type: 'array', items: { type: 'string' } },
-                features: { type: 'array', items: { type: 'string' } },
-                logoUrl: { type: 'string', description: 'Logo URL (optional)' }
-              },
-              required: ['name', 'description', 'category', 'website', 'pricing']
-            }
-          },
-          {
-            name: 'update_ai_tool',
-            description: 'Update an existing AI tool in Contentful',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                entryId: { type: 'string', description: 'Contentful entry ID' },
-                fields: { type: 'object', description: 'Fields to update' }
-              },
-              required: ['entryId', 'fields']
-            }
-          },
-          {
-            name: 'delete_ai_tool',
-            description: 'Delete an AI tool from Contentful',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                entryId: { type: 'string', description: 'Contentful entry ID' }
-              },
-              required: ['entryId']
-            }
-          },
-          {
-            name: 'add_ai_term',
-            description: 'Add a new AI term to Contentful',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                term: { type: 'string', description: 'Term name' },
-                definition: { type: 'string', description: 'Term definition' },
-                category: { type: 'string', description: 'Term category' },
-                relatedTerms: { type: 'array', items: { type: 'string' } },
-                examples: { type: 'array', items: { type: 'string' } }
-              },
-              required: ['term', 'definition', 'category']
-            }
-          },
-          {
-            name: 'create_category_page',
-            description: 'Create a new category page in Contentful',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: { type: 'string', description: 'Category name' },
-                slug: { type: 'string', description: 'URL slug' },
-                description: { type: 'string', description: 'Category description' },
-                icon: { type: 'string', description: 'Category icon' },
-                filterBy: { type: 'string', description: 'Field to filter by' },
-                filterValues: { type: 'array', items: { type: 'string' } }
-              },
-              required: ['name', 'slug', 'description', 'icon', 'filterBy', 'filterValues']
-            }
-          },
-          {
-            name: 'update_seo_config',
-            description: 'Update SEO configuration',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                domain: { type: 'string', description: 'Site domain' },
-                title: { type: 'string', description: 'Default page title' },
-                description: { type: 'string', description: 'Default meta description' },
-                keywords: { type: 'array', items: { type: 'string' } },
-                ogImage: { type: 'string', description: 'OpenGraph image URL' }
-              }
-            }
-          },
-          {
-            name: 'validate_content',
-            description: 'Validate all content for quality and completeness',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                contentType: { 
-                  type: 'string', 
-                  enum: ['tools', 'terms', 'categories', 'all'],
-                  description: 'Type of content to validate'
-                }
-              },
-              required: ['contentType']
-            }
-          },
-          {
-            name: 'backup_content',
-            description: 'Create a backup of all Contentful content',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                includeAssets: { type: 'boolean', description: 'Include asset URLs in backup' }
-              }
-            }
-          },
-          {
-            name: 'sync_github_projects',
-            description: 'Sync GitHub repositories to show latest projects',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                username: { type: 'string', description: 'GitHub username' },
-                forceRefresh: { type: 'boolean', description: 'Force refresh cache' }
-              }
-            }
-          },
-          {
-            name: 'update_site_config',
-            description: 'Update site configuration settings',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                config: { type: 'object', description: 'Configuration object' }
-              },
-              required: ['config']
-            }
-          }
-        ]
+        content: [{
+          type: 'text',
+          text: `✅ robots.txt written to ${path.relative(SITE_ROOT, path.join(PUBLIC_DIR, 'robots.txt'))}:\n\n${content}`
+        }]
       };
-    });
+    } catch (error) {
+      throw new Error(`robots.txt generation failed: ${error.message}`);
+    }
+  }
 
-    // Tool execution handler
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+  async generateStructuredData(args = {}) {
+    try {
+      const { siteUrl, routes, pages } = await this.loadSitePages(args);
+      const context = { siteUrl, glossaryUrl: `${siteUrl}${routes.terms.split('/:slug')[0]}` };
+      const jsonLd = page => structuredData(page.contentType, page.entry.fields, { ...context, url: page.url });
       
-      try {
-        switch (name) {
-          case 'add_ai_tool':
-            return await this.addAITool(args);
-          case 'update_ai_tool':
-            return await this.updateAITool(args);
-          case 'delete_ai_tool':
-            return await this.deleteAITool(args);
-          case 'add_ai_term':
-            return await this.addAITerm(args);
-          case 'create_category_page':
-            return await this.createCategoryPage(args);
-          case 'update_seo_config':
-            return await this.updateSEOConfig(args);
-          case 'validate_content':
-            return await this.validateContent(args);
-          case 'backup_content':
-            return await this.backupContent(args);
-          case 'sync_github_projects':
-            return await this.syncGitHubProjects(args);
-          case 'update_site_config':
-            return await this.updateSiteConfig(args);
-          default:
-            throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+      if (args.entryId) {
+        const page = pages.find(candidate => candidate.entry.sys.id === args.entryId);
+        if (!page) {
+          throw new Error(`No published tool or term with ID ${args.entryId}`);
         }
-      } catch (error) {
-        throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`);
+        const data = jsonLd(page);
+        if (!data) {
+          throw new Error(`${page.contentType} entries have no structured data type`);
+        }
+        
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(data, null, 2)
+          }]
+        };
+      }
+      
+      // Checked up front, so a manifest the policy denies leaves no files behind
+      this.policy.checkPath(GENERATED_FILES_FILE);
+      const outputDir = path.join(PUBLIC_DIR, 'structured-data');
+      const counts = {};
+      const written = [];
+      const skipped = [];
+      for (const section of ['tools', 'terms']) {
+        // File names come from slugs, so a slug such as "../x" cannot leave the section directory
+        const byFile = new Map();
+        pages.filter(page => page.section === section && !page.noindex).forEach(page => {
+          const file = slugify(page.slug);
+          if (!file) {
+            skipped.push(`${page.entry.sys.id}: slug "${page.slug}" has no letters or digits`);
+          } else if (byFile.has(file)) {
+            skipped.push(`${page.entry.sys.id}: ${section}/${file}.json is already written for ${byFile.get(file).entry.sys.id}`);
+          } else {
+            byFile.set(file, page);
+          }
+        });
+        
+        for (const [file, page] of byFile) {
+          const filePath = path.join(outputDir, section, `${file}.json`);
+          await this.writeSiteJson(filePath, jsonLd(page));
+          written.push(filePath);
+        }
+        counts[section] = byFile.size;
+      }
+      
+      // Remove the files of entries that are gone or no longer indexed
+      await this.replaceGeneratedFiles('structured-data', written);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ JSON-LD written to ${path.relative(SITE_ROOT, outputDir)}/: ${counts.tools} tools (SoftwareApplication), ${counts.terms} terms (DefinedTerm)` +
+            (skipped.length > 0 ? `\n⚠️ Skipped ${skipped.length} entries, run audit_seo to fix their slugs:\n${skipped.join('\n')}` : '')
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Structured data generation failed: ${error.message}`);
+    }
+  }
+
+  async validateContent(args) {
+    return this.runAudit(AUDIT_RULES, 'rules', args, {
+      passed: 'All content validation passed',
+      failed: 'Content validation failed'
+    });
+  }
+
+  async auditSEO(args = {}) {
+    return this.runAudit(SEO_AUDIT_RULES, 'seoRules', args, {
+      passed: 'SEO audit passed',
+      failed: 'SEO audit failed',
+      // Pages hidden from search engines need no SEO metadata
+      prepare: async content => {
+        Object.keys(CONTENT_TYPES).forEach(section => {
+          content[section] = content[section].filter(entry => entry.fields.noindex !== true);
+        });
+        content.site = await this.readSEOConfig();
       }
     });
   }
 
-  // Resource readers
-  async readContentfulResource(uri) {
+  // Run the enabled rules of a rule table over all published content and report the issues of the audited types
+  async runAudit(ruleTable, configKey, args, { passed, failed, prepare }) {
+    const deliveryClient = this.resolveTarget(args).delivery;
     if (!deliveryClient) {
       throw new Error('Contentful delivery client not available');
     }
-
-    const resourceType = uri.split('//')[1];
     
-    switch (resourceType) {
-      case 'tools':
-        const tools = await deliveryClient.getEntries({
-          content_type: 'aiTool',
-          limit: 1000
+    const audit = AuditSchema.parse(args);
+    const rules = resolveAuditRules(ruleTable, loadAuditConfig(configKey), audit.rules);
+    const sections = audit.contentType === 'all' ? Object.keys(CONTENT_TYPES) : [audit.contentType];
+    
+    try {
+      // Cross-reference rules need every content type, whichever one is audited
+      const content = {};
+      for (const [section, contentType] of Object.entries(CONTENT_TYPES)) {
+        content[section] = await fetchAll(query => deliveryClient.getEntries(query), { content_type: contentType });
+      }
+      if (prepare) await prepare(content);
+      
+      const issues = [];
+      rules.filter(rule => rule.enabled).forEach(rule => {
+        ruleTable[rule.id].check(content, rule.options, (section, entry, message) => {
+          issues.push({
+            rule: rule.id,
+            severity: rule.severity,
+            contentType: CONTENT_TYPES[section],
+            section,
+            entryId: entry?.sys.id || null,
+            label: entry ? entryLabel(entry.fields) : null,
+            message
+          });
         });
+      });
+      
+      const threshold = AUDIT_SEVERITIES.indexOf(audit.minSeverity);
+      const reported = issues
+        .filter(issue => sections.includes(issue.section) && AUDIT_SEVERITIES.indexOf(issue.severity) <= threshold)
+        .sort((a, b) => AUDIT_SEVERITIES.indexOf(a.severity) - AUDIT_SEVERITIES.indexOf(b.severity));
+      const counts = Object.fromEntries(AUDIT_SEVERITIES.map(severity =>
+        [severity, reported.filter(issue => issue.severity === severity).length]));
+      const entryCount = sections.reduce((total, section) => total + content[section].length, 0);
+      
+      if (audit.format === 'json') {
         return {
-          contents: [{
-            uri,
-            mimeType: 'application/json',
-            text: JSON.stringify(tools.items, null, 2)
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              contentType: audit.contentType,
+              entries: entryCount,
+              counts,
+              rules: rules.map(({ id, enabled, severity, options }) => ({ id, enabled, severity, options })),
+              issues: reported
+            }, null, 2)
           }]
         };
-        
-      case 'terms':
-        const terms = await deliveryClient.getEntries({
-          content_type: 'aiTerm',
-          limit: 1000
-        });
+      }
+      
+      if (reported.length === 0) {
         return {
-          contents: [{
-            uri,
-            mimeType: 'application/json',
-            text: JSON.stringify(terms.items, null, 2)
+          content: [{
+            type: 'text',
+            text: `✅ ${passed} (${entryCount} entries, ${rules.filter(rule => rule.enabled).length} rules)`
           }]
         };
-        
-      case 'categories':
-        const categories = await deliveryClient.getEntries({
-          content_type: 'categoryPage',
-          limit: 100
+      }
+      
+      const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+      const groups = AUDIT_SEVERITIES.filter(severity => counts[severity] > 0).map(severity => {
+        const lines = [];
+        rules.forEach(rule => {
+          const ruleIssues = reported.filter(issue => issue.severity === severity && issue.rule === rule.id);
+          ruleIssues.slice(0, audit.limit).forEach(issue => lines.push(
+            `  [${issue.rule}] ${issue.contentType}${issue.entryId ? ` ${issue.entryId} "${issue.label}"` : ''}: ${issue.message}`));
+          if (ruleIssues.length > audit.limit) {
+            lines.push(`  [${rule.id}] ... and ${ruleIssues.length - audit.limit} more`);
+          }
+        });
+        return `${icons[severity]} ${severity}\n${lines.join('\n')}`;
+      });
+      const disabled = rules.filter(rule => !rule.enabled).map(rule => rule.id);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `${icons[reported[0].severity]} Found ${reported.length} issues in ${entryCount} entries ` +
+            `(${AUDIT_SEVERITIES.map(severity => `${counts[severity]} ${severity}`).join(', ')}):\n\n${groups.join('\n\n')}` +
+            `${disabled.length ? `\n\nDisabled rules: ${disabled.join(', ')}` : ''}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`${failed}: ${error.message}`);
+    }
+  }
+
+  async checkLinks(args = {}) {
+    const deliveryClient = this.resolveTarget(args).delivery;
+    if (!deliveryClient) {
+      throw new Error('Contentful delivery client not available');
+    }
+    
+    const baseUrl = args.baseUrl || LINK_CHECK_BASE_URL;
+    
+    try {
+      const tools = await fetchAll(query => deliveryClient.getEntries(query), { content_type: 'aiTool' });
+      
+      const links = [];
+      const issues = [];
+      tools.forEach(tool => {
+        ['website', 'logoUrl'].forEach(field => {
+          const value = tool.fields[field];
+          if (isBlank(value)) return;
+          
+          const link = { entryId: tool.sys.id, name: entryLabel(tool.fields), field, value };
+          try {
+            link.url = new URL(value, baseUrl).href;
+            links.push(link);
+          } catch {
+            issues.push({ ...link, problem: 'invalid', message: baseUrl ? 'not a valid URL' : 'not an absolute URL and no base URL is set' });
+          }
         });
+      });
+      
+      const results = await this.linkChecker.checkAll(links.map(link => link.url), { refresh: args.refresh });
+      
+      links.forEach(link => {
+        const result = results.get(link.url);
+        if (!result.ok) {
+          issues.push({ ...link, problem: 'dead', message: result.error || `HTTP ${result.status}`, result });
+          return;
+        }
+        
+        const fromHost = websiteHost(link.url);
+        const toHost = websiteHost(result.finalUrl);
+        if (result.redirects.length > 0 && fromHost !== toHost) {
+          issues.push({ ...link, problem: 'redirect', message: `redirects to another domain: ${result.finalUrl}`, result });
+        }
+        if (link.field === 'logoUrl' && !result.contentType?.startsWith('image/')) {
+          issues.push({ ...link, problem: 'not-image', message: `responds with ${result.contentType || 'no content type'}, not an image`, result });
+        }
+      });
+      
+      const counts = {
+        links: links.length,
+        checked: [...results.values()].filter(result => !result.cached).length,
+        cached: [...results.values()].filter(result => result.cached).length,
+        ...Object.fromEntries(['invalid', 'dead', 'redirect', 'not-image']
+          .map(problem => [problem, issues.filter(issue => issue.problem === problem).length]))
+      };
+      
+      if (args.format === 'json') {
         return {
-          contents: [{
-            uri,
-            mimeType: 'application/json',
-            text: JSON.stringify(categories.items, null, 2)
+          content: [{
+            type: 'text',
+            text: JSON.stringify({ tools: tools.length, counts, issues }, null, 2)
           }]
         };
-        
-      default:
-        throw new Error(`Unknown Contentful resource: ${resourceType}`);
+      }
+      
+      const summary = `${links.length} links on ${tools.length} tools (${counts.checked} checked, ${counts.cached} cached)`;
+      if (issues.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ All links OK: ${summary}`
+          }]
+        };
+      }
+      
+      const titles = {
+        invalid: 'Invalid URLs',
+        dead: 'Dead links',
+        redirect: 'Redirects to another domain',
+        'not-image': 'Logos that are not images'
+      };
+      const sections = Object.entries(titles)
+        .filter(([problem]) => counts[problem] > 0)
+        .map(([problem, title]) => `${title} (${counts[problem]}):\n` + issues
+          .filter(issue => issue.problem === problem)
+          .map(issue => `  ${issue.entryId} "${issue.name}" ${issue.field} ${issue.value}: ${issue.message}`)
+          .join('\n'));
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `⚠️ Found ${issues.length} link issues in ${summary}:\n\n${sections.join('\n\n')}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Link check failed: ${error.message}`);
     }
   }
 
-  async readFileResource(uri) {
-    const resourceType = uri.split('//')[1];
+  async fixContent(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    const fixIds = args.fixes?.length ? args.fixes : Object.keys(CONTENT_FIXES);
+    const unknownFixes = fixIds.filter(id => !CONTENT_FIXES[id]);
+    if (unknownFixes.length > 0) {
+      throw new Error(`Unknown fix(es): ${unknownFixes.join(', ')}. Available fixes: ${Object.keys(CONTENT_FIXES).join(', ')}`);
+    }
     
-    switch (resourceType) {
-      case 'site-config':
-        const configPath = path.join(SITE_ROOT, 'src/config');
-        const configFiles = await glob('*.{js,ts,json}', { cwd: configPath });
-        const config = {};
-        
-        for (const file of configFiles) {
-          const filePath = path.join(configPath, file);
-          if (await fs.pathExists(filePath)) {
-            const content = await fs.readFile(filePath, 'utf8');
-            config[file] = content;
-          }
+    const dryRun = args.dryRun !== false;
+    const publishing = PublishSchema.parse(args);
+    const sections = !args.contentType || args.contentType === 'all' ? Object.keys(CONTENT_TYPES) : [args.contentType];
+    
+    try {
+      const environment = await this.getEnvironment(args);
+      const { defaultLocale } = await this.getLocales(args);
+      
+      const content = {};
+      for (const [section, contentType] of Object.entries(CONTENT_TYPES)) {
+        content[section] = await fetchAll(query => environment.getEntries(query), { content_type: contentType });
+      }
+      
+      // The spellings validate_content's tag-drift rule expects, counted over the published entries it audits
+      const vocabulary = resolveAuditRules(AUDIT_RULES, loadAuditConfig()).find(rule => rule.id === 'tag-drift').options.vocabulary;
+      const publishedTags = content.tools
+        .filter(entry => entry.sys.publishedVersion && !entry.sys.archivedVersion)
+        .map(entry => entry.fields.tags?.[defaultLocale]);
+      
+      const context = {
+        tagSpellings: canonicalTagSpellings(publishedTags, vocabulary),
+        termNames: new Set(content.terms.flatMap(entry => Object.values(entry.fields.term || {}).map(slugify)))
+      };
+      
+      const patches = [];
+      for (const section of sections) {
+        for (const entry of content[section]) {
+          if (entry.sys.archivedVersion) continue;
+          if (args.entryIds?.length && !args.entryIds.includes(entry.sys.id)) continue;
+          
+          const contentType = CONTENT_TYPES[section];
+          const codes = [...new Set(Object.values(entry.fields).flatMap(value => Object.keys(value)))];
+          const changes = [];
+          
+          codes.forEach(code => {
+            const before = Object.fromEntries(Object.entries(entry.fields)
+              .filter(([, value]) => value[code] !== undefined)
+              .map(([fieldName, value]) => [fieldName, value[code]]));
+            const after = { ...before };
+            const fixedBy = {};
+            
+            Object.keys(CONTENT_FIXES)
+              .filter(id => fixIds.includes(id) && CONTENT_FIXES[id].contentTypes.includes(contentType))
+              .forEach(id => {
+                Object.entries(CONTENT_FIXES[id].fix(after, context)).forEach(([fieldName, value]) => {
+                  after[fieldName] = value;
+                  fixedBy[fieldName] = [...(fixedBy[fieldName] || []), id];
+                });
+              });
+            
+            Object.keys(fixedBy)
+              .filter(fieldName => JSON.stringify(before[fieldName]) !== JSON.stringify(after[fieldName]))
+              .forEach(fieldName => changes.push({
+                fieldName,
+                code,
+                before: before[fieldName],
+                after: after[fieldName],
+                fixes: fixedBy[fieldName]
+              }));
+          });
+          
+          if (changes.length > 0) patches.push({ entry, contentType, changes });
         }
-        
+      }
+      
+      if (patches.length === 0) {
         return {
-          contents: [{
-            uri,
-            mimeType: 'application/json',
-            text: JSON.stringify(config, null, 2)
+          content: [{
+            type: 'text',
+            text: `✅ Nothing to fix in ${sections.join(', ')} (${fixIds.join(', ')})`
           }]
         };
-        
-      case 'seo-config':
-        const seoPath = path.join(SITE_ROOT, 'src/components/SEO/SEOMetaTags.tsx');
-        const seoContent = await fs.readFile(seoPath, 'utf8');
-        
+      }
+      
+      const counts = {};
+      patches.forEach(patch => patch.changes.forEach(change => change.fixes.forEach(id => {
+        counts[id] = (counts[id] || 0) + 1;
+      })));
+      const summary = Object.entries(counts).map(([id, count]) => `${id}: ${count}`).join(', ');
+      
+      const lines = patches.flatMap(({ entry, contentType, changes }) => [
+        `${contentType} ${entry.sys.id} "${entryLabel(entry.fields, defaultLocale)}"`,
+        ...changes.map(change =>
+          `  ~ ${change.fieldName} [${change.code}]: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)} (${change.fixes.join(', ')})`)
+      ]);
+      if (lines.length > MAX_DIFF_LINES) {
+        lines.splice(MAX_DIFF_LINES, lines.length, `... and ${lines.length - MAX_DIFF_LINES} more lines`);
+      }
+      
+      if (dryRun) {
         return {
-          contents: [{
-            uri,
-            mimeType: 'text/typescript',
-            text: seoContent
+          content: [{
+            type: 'text',
+            text: `🔍 Dry run: ${patches.length} entries would change (${summary})\n\n${lines.join('\n')}\n\n` +
+              'Run again with dryRun: false to apply these fixes (a backup is taken first)'
           }]
         };
-        
-      case 'mock-data':
-        const mockPath = path.join(SITE_ROOT, 'src/data/mock');
-        const mockFiles = await glob('*.{js,ts,json}', { cwd: mockPath });
-        const mockData = {};
-        
-        for (const file of mockFiles) {
-          const filePath = path.join(mockPath, file);
-          if (await fs.pathExists(filePath)) {
-            const content = await fs.readFile(filePath, 'utf8');
-            mockData[file] = content;
+      }
+      
+      // Everything is backed up before the batch so the whole run can be restored
+      const backup = await this.createBackup(args);
+      
+      // Without a publish mode in the call, fixed entries that were live go live again;
+      // entries with other unpublished changes stay drafts so those changes aren't published too
+      const failed = [];
+      const drafts = [];
+      let applied = 0;
+      for (const { entry, changes } of patches) {
+        let updated;
+        try {
+          this.auditEntry(entry, args);
+          const wasLive = entryState(entry.sys) === 'published';
+          changes.forEach(({ fieldName, code, after }) => {
+            entry.fields[fieldName] = { ...entry.fields[fieldName], [code]: after };
+          });
+          updated = await entry.update();
+          const mode = args.publish === undefined && wasLive ? { ...publishing, publish: 'publish' } : publishing;
+          const outcome = await this.applyPublishMode(updated, mode, args);
+          if (outcome === 'saved as draft' && entry.sys.publishedVersion) drafts.push(entry.sys.id);
+          applied++;
+        } catch (error) {
+          failed.push(`${entry.sys.id}: ${updated ? 'saved as draft, publish failed: ' : ''}${error.message}`);
+        }
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `${failed.length === 0 ? '✅' : '⚠️'} Fixed ${applied} of ${patches.length} entries (${summary}) - backup: ${backup.name}\n\n` +
+            `${lines.join('\n')}` +
+            (drafts.length ? `\n\n📝 ${drafts.length} fixed entries are unpublished drafts and not on the site yet: ${drafts.join(', ')}\n` +
+              'Publish them with publish_entry once their other changes are ready (list_drafts shows them)' : '') +
+            (failed.length ? `\n\n❌ Failed:\n${failed.join('\n')}` : '') +
+            `\n\nUndo with restore_content (file: "${backup.name}")`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Content fix failed: ${error.message}`);
+    }
+  }
+
+  async backupContent(args = {}) {
+    if (!this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
+
+    try {
+      const { name, manifest, files, failedDownloads } = await this.createBackup(args);
+      const pruned = await this.pruneBackups({
+        keepDaily: args.keepDaily ?? BACKUP_KEEP_DAILY,
+        keepWeekly: args.keepWeekly ?? BACKUP_KEEP_WEEKLY
+      });
+      
+      const byType = Object.entries(manifest.counts.entriesByContentType)
+        .map(([contentType, count]) => `  ${contentType}: ${count}`);
+      const byState = Object.entries(manifest.counts.entriesByState)
+        .map(([state, count]) => `${state}: ${count}`);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Content backup created: ${name}\n` +
+            `Content types: ${manifest.counts.contentTypes}\n` +
+            `Entries: ${manifest.counts.entries} (${byState.join(', ')})\n${byType.join('\n')}\n` +
+            `Assets: ${manifest.counts.assets}${args.includeAssets ? ` (${Object.keys(files).length - 1} files downloaded)` : ''}` +
+            (failedDownloads.length ? `\n⚠️ Failed asset downloads:\n${failedDownloads.join('\n')}` : '') +
+            (pruned.length ? `\n🗑️ Removed by retention policy: ${pruned.join(', ')}` : '')
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Backup failed: ${error.message}`);
+    }
+  }
+
+  // Write a backup directory with content.json and manifest.json. The retention policy is
+  // left to backup_content, so automatic backups taken before a change never remove older ones.
+  async createBackup(args = {}) {
+    const { profileName, spaceId, environmentId } = this.resolveTarget(args);
+    const environment = await this.getEnvironment(args);
+    
+    const createdAt = new Date();
+    const [locales, contentTypes, entries, assets] = await Promise.all([
+      environment.getLocales(),
+      fetchAll(query => environment.getContentTypes(query)),
+      fetchAll(query => environment.getEntries(query)),
+      fetchAll(query => environment.getAssets(query))
+    ]);
+    
+    const backup = {
+      format: BACKUP_FORMAT,
+      timestamp: createdAt.toISOString(),
+      profile: profileName,
+      spaceId,
+      environment: environmentId,
+      locales: locales.items.map(locale => locale.toPlainObject()),
+      contentTypes: contentTypes.map(contentType => contentType.toPlainObject()),
+      entries: entries.map(entry => entry.toPlainObject()),
+      assets: assets.map(asset => asset.toPlainObject())
+    };
+    
+    const name = `contentful-backup-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+    const backupPath = path.join(BACKUP_DIR, name);
+    
+    const content = JSON.stringify(backup, null, 2);
+    await this.writeSiteFile(path.join(backupPath, 'content.json'), content, { audit: false });
+    const files = { 'content.json': sha256(content) };
+    
+    // Asset binaries are optional, metadata is always part of the backup
+    const failedDownloads = [];
+    if (args.includeAssets) {
+      for (const asset of backup.assets) {
+        for (const [locale, file] of Object.entries(asset.fields.file || {})) {
+          if (!file.url) continue;
+          
+          const relativePath = path.posix.join('assets', asset.sys.id, locale, path.basename(file.fileName || file.url));
+          try {
+            const response = await fetch(file.url.startsWith('//') ? `https:${file.url}` : file.url, {
+              signal: AbortSignal.timeout(BACKUP_ASSET_TIMEOUT)
+            });
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status}`);
+            }
+            const data = Buffer.from(await response.arrayBuffer());
+            await this.writeSiteFile(path.join(backupPath, relativePath), data, { audit: false });
+            files[relativePath] = sha256(data);
+          } catch (error) {
+            const reason = error.name === 'TimeoutError' ? `timed out after ${BACKUP_ASSET_TIMEOUT}ms` : error.message;
+            failedDownloads.push(`${asset.sys.id} (${locale}): ${reason}`);
           }
         }
-        
+      }
+    }
+    
+    const manifest = {
+      format: BACKUP_FORMAT,
+      name,
+      createdAt: backup.timestamp,
+      profile: profileName,
+      spaceId,
+      environment: environmentId,
+      counts: summarizeBackup(backup),
+      files
+    };
+    await this.writeSiteJson(path.join(backupPath, 'manifest.json'), manifest, { audit: false });
+    
+    return { name, manifest, files, failedDownloads };
+  }
+
+  async listBackups(args = {}) {
+    try {
+      const backups = await this.findBackups();
+      
+      if (backups.length === 0) {
         return {
-          contents: [{
-            uri,
-            mimeType: 'application/json',
-            text: JSON.stringify(mockData, null, 2)
+          content: [{
+            type: 'text',
+            text: `No backups found in ${BACKUP_DIR}`
           }]
         };
+      }
+      
+      const lines = [];
+      for (const backup of backups.reverse()) {
+        if (backup.legacy) {
+          const data = await fs.readJSON(backup.path);
+          lines.push(`📄 ${backup.name} (legacy, ${backup.createdAt.toISOString()})\n` +
+            `   Tools: ${data.tools?.length || 0}, Terms: ${data.terms?.length || 0}, Categories: ${data.categories?.length || 0}`);
+          continue;
+        }
         
-      default:
-        throw new Error(`Unknown file resource: ${resourceType}`);
+        const { manifest } = backup;
+        const byType = Object.entries(manifest.counts.entriesByContentType)
+          .map(([contentType, count]) => `${contentType}: ${count}`)
+          .join(', ');
+        let status = '';
+        if (args.verify) {
+          const problems = await verifyBackup(backup.path, manifest);
+          status = problems.length ? ` ❌ ${problems.join('; ')}` : ' ✅ checksums verified';
+        }
+        lines.push(`📦 ${backup.name} (${manifest.environment}, ${manifest.createdAt})${status}\n` +
+          `   Content types: ${manifest.counts.contentTypes}, Entries: ${manifest.counts.entries}, Assets: ${manifest.counts.assets}, Asset files: ${Object.keys(manifest.files).length - 1}\n` +
+          `   ${byType || 'no entries'}`);
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Found ${backups.length} backups in ${BACKUP_DIR}:\n\n${lines.join('\n\n')}`
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Listing backups failed: ${error.message}`);
     }
   }
 
-  // Tool implementations
-  async addAITool(args) {
-    if (!managementClient) {
+  // Backups in BACKUP_DIR, oldest first
+  async findBackups() {
+    if (!await fs.pathExists(BACKUP_DIR)) {
+      return [];
+    }
+    
+    const backups = [];
+    for (const name of await fs.readdir(BACKUP_DIR)) {
+      const backupPath = path.join(BACKUP_DIR, name);
+      const manifestPath = path.join(backupPath, 'manifest.json');
+      
+      if (await fs.pathExists(manifestPath)) {
+        const manifest = await fs.readJSON(manifestPath);
+        backups.push({ name, path: backupPath, createdAt: new Date(manifest.createdAt), manifest });
+      } else if (name.endsWith('.json')) {
+        const match = name.match(/(\d{4}-\d{2}-\d{2})/);
+        const createdAt = match ? new Date(match[1]) : (await fs.stat(backupPath)).mtime;
+        backups.push({ name, path: backupPath, createdAt, legacy: true });
+      }
+    }
+    
+    return backups.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Keep the newest backup of each day made in the last keepDaily days and of each week made in
+  // the last keepWeekly weeks, counted back from now, plus the newest backup; remove the rest.
+  // Legacy single-file backups are never pruned.
+  async pruneBackups({ keepDaily, keepWeekly }) {
+    const backups = (await this.findBackups()).filter(backup => !backup.legacy).reverse();
+    const keep = new Set(backups.slice(0, 1).map(backup => backup.name));
+    
+    const keepNewestPer = (bucketOf, days) => {
+      const since = Date.now() - days * 86400000;
+      const buckets = new Set();
+      for (const backup of backups) {
+        if (backup.createdAt.getTime() < since) break;
+        const bucket = bucketOf(backup.createdAt);
+        if (buckets.has(bucket)) continue;
+        buckets.add(bucket);
+        keep.add(backup.name);
+      }
+    };
+    
+    keepNewestPer(date => date.toISOString().split('T')[0], keepDaily);
+    keepNewestPer(date => {
+      const monday = new Date(date);
+      monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+      return monday.toISOString().split('T')[0];
+    }, keepWeekly * 7);
+    
+    const removed = [];
+    for (const backup of backups) {
+      if (!keep.has(backup.name)) {
+        await this.removeSiteFile(backup.path, { audit: false });
+        removed.push(backup.name);
+      }
+    }
+    return removed;
+  }
+
+  async loadBackup(backupPath) {
+    if (!(await fs.stat(backupPath)).isDirectory()) {
+      return fs.readJSON(backupPath);
+    }
+    
+    const manifest = await fs.readJSON(path.join(backupPath, 'manifest.json'));
+    const content = await fs.readFile(path.join(backupPath, 'content.json'), 'utf8');
+    if (sha256(content) !== manifest.files['content.json']) {
+      throw new Error(`Checksum mismatch for ${path.basename(backupPath)}/content.json`);
+    }
+    return JSON.parse(content);
+  }
+
+  async restoreContent(args = {}) {
+    if (!this.resolveTarget(args).management) {
       throw new Error('Contentful management client not available');
     }
 
-    // Validate input
-    const validatedTool = ToolSchema.parse(args);
+    const dryRun = args.dryRun !== false;
+    const sections = args.contentTypes?.length ? args.contentTypes : Object.keys(CONTENT_TYPES);
+    const contentTypes = sections.map(section => CONTENT_TYPES[section]);
     
     try {
-      const space = await managementClient.getSpace(CONTENTFUL_SPACE_ID);
-      const environment = await space.getEnvironment('master');
+      const backupPath = await this.resolveBackupFile(args.file);
+      const backup = await this.loadBackup(backupPath);
       
-      // Create entry
-      const entry = await environment.createEntry('aiTool', {
-        fields: {
-          name: { 'en-US': validatedTool.name },
-          description: { 'en-US': validatedTool.description },
-          category: { 'en-US': validatedTool.category },
-          website: { 'en-US': validatedTool.website },
-          pricing: { 'en-US': validatedTool.pricing },
-          tags: { 'en-US': validatedTool.tags },
-          features: { 'en-US': validatedTool.features },
-          ...(validatedTool.logoUrl && { logoUrl: { 'en-US': validatedTool.logoUrl } }),
-          isAITool: { 'en-US': validatedTool.isAITool }
+      // Normalise legacy delivery API backups and management backups to one shape
+      let locales;
+      let items;
+      if (backup.format === BACKUP_FORMAT) {
+        locales = backup.locales.map(locale => locale.code);
+        items = backup.entries.map(entry => ({
+          id: entry.sys.id,
+          contentType: entry.sys.contentType.sys.id,
+          fields: entry.fields,
+          state: entryState(entry.sys)
+        }));
+      } else {
+        // Legacy backups hold single-locale delivery values
+        const { defaultLocale } = await this.getLocales(args);
+        locales = [defaultLocale];
+        items = Object.entries(CONTENT_TYPES).flatMap(([section, contentType]) =>
+          (backup[section] || []).map(item => {
+            const fields = {};
+            Object.entries(item.fields || {}).forEach(([fieldName, value]) => {
+              fields[fieldName] = { [defaultLocale]: toManagementValue(value) };
+            });
+            return { id: item.sys.id, contentType, fields, state: 'published' };
+          })
+        );
+      }
+      
+      const environment = await this.getEnvironment(args);
+      
+      const plan = [];
+      
+      for (const contentType of Object.values(CONTENT_TYPES)) {
+        if (!contentTypes.includes(contentType)) continue;
+        
+        const live = await fetchAll(query => environment.getEntries(query), { content_type: contentType });
+        const liveById = new Map(live.map(entry => [entry.sys.id, entry]));
+        
+        for (const item of items.filter(item => item.contentType === contentType)) {
+          const liveEntry = liveById.get(item.id);
+          if (!liveEntry) {
+            plan.push({ action: 'create', ...item });
+            continue;
+          }
+          liveById.delete(item.id);
+          
+          const changed = changedFields(item.fields, liveEntry.fields, locales);
+          
+          if (changed.length > 0) {
+            plan.push({ action: 'update', ...item, changed, entry: liveEntry });
+          } else if (item.state === 'published' && !liveEntry.isPublished()) {
+            plan.push({ action: 'publish', ...item, entry: liveEntry });
+          } else if (item.state === 'archived' && !liveEntry.isArchived()) {
+            plan.push({ action: 'archive', ...item, entry: liveEntry });
+          }
         }
-      });
+        
+        if (args.deleteMissing) {
+          liveById.forEach(entry => {
+            plan.push({ action: 'delete', id: entry.sys.id, contentType, fields: entry.fields, entry });
+          });
+        }
+      }
       
-      // Publish entry
-      await entry.publish();
+      const describe = change => {
+        const symbol = { create: '+', update: '~', publish: '^', archive: '#', delete: '-' }[change.action];
+        const detail = change.changed ? ` [${change.changed.join(', ')}]` : '';
+        return `${symbol} ${change.action} ${change.contentType} ${change.id} "${entryLabel(change.fields)}"${detail}`;
+      };
+      
+      if (plan.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `✅ Contentful already matches ${path.basename(backupPath)}, nothing to restore`
+          }]
+        };
+      }
+      
+      if (dryRun) {
+        return {
+          content: [{
+            type: 'text',
+            text: `🔍 Dry run for ${path.basename(backupPath)} - ${plan.length} planned changes:\n${plan.map(describe).join('\n')}\n\nRun again with dryRun: false to apply.`
+          }]
+        };
+      }
+      
+      // Bring the entry to the state it had when the backup was taken
+      const applyState = async (entry, state) => {
+        if (state === 'published') {
+          return entry.publish();
+        }
+        if (state === 'archived') {
+          return entry.archive();
+        }
+        return entry;
+      };
+      
+      const applied = [];
+      const failed = [];
+      
+      for (const change of plan) {
+        try {
+          if (change.action === 'create') {
+            this.policy.checkContentType(change.contentType);
+            const entry = await environment.createEntryWithId(change.contentType, change.id, { fields: change.fields });
+            this.auditEntry(entry, args, { created: true });
+            await applyState(entry, change.state);
+          } else if (change.action === 'update') {
+            let entry = change.entry;
+            this.auditEntry(entry, args);
+            if (entry.isArchived()) {
+              entry = await entry.unarchive();
+            }
+            change.changed.forEach(fieldName => {
+              const field = { ...entry.fields[fieldName] };
+              locales.forEach(locale => {
+                if (change.fields[fieldName]?.[locale] === undefined) {
+                  delete field[locale];
+                } else {
+                  field[locale] = change.fields[fieldName][locale];
+                }
+              });
+              if (Object.keys(field).length === 0) {
+                delete entry.fields[fieldName];
+              } else {
+                entry.fields[fieldName] = field;
+              }
+            });
+            const updated = await entry.update();
+            await applyState(updated, change.state);
+          } else if (change.action === 'publish' || change.action === 'archive') {
+            this.auditEntry(change.entry, args);
+            await applyState(change.entry, change.state);
+          } else {
+            let entry = change.entry;
+            this.auditEntry(entry, args);
+            if (entry.isArchived()) {
+              entry = await entry.unarchive();
+            }
+            if (entry.isPublished()) {
+              entry = await entry.unpublish();
+            }
+            await entry.delete();
+          }
+          applied.push(describe(change));
+        } catch (error) {
+          failed.push(`${describe(change)}: ${error.message}`);
+        }
+      }
       
       return {
         content: [{
           type: 'text',
-          text: `✅ Successfully added AI tool "${validatedTool.name}" to Contentful (ID: ${entry.sys.id})`
+          text: `${failed.length === 0 ? '✅' : '⚠️'} Restored from ${path.basename(backupPath)}: ${applied.length} applied, ${failed.length} failed` +
+            (applied.length ? `\n\nApplied:\n${applied.join('\n')}` : '') +
+            (failed.length ? `\n\nFailed:\n${failed.join('\n')}` : '')
         }]
       };
     } catch (error) {
-      throw new Error(`Failed to add AI tool: ${error.message}`);
+      throw new Error(`Restore failed: ${error.message}`);
     }
   }
 
-  async updateAITool(args) {
-    if (!managementClient) {
+  async promoteContent(args) {
+    const source = { profile: args.sourceProfile, environment: args.sourceEnvironment };
+    const target = { profile: args.targetProfile, environment: args.targetEnvironment };
+    const sections = args.contentTypes?.length ? args.contentTypes : Object.keys(CONTENT_TYPES);
+    const include = args.include?.length ? args.include : ['added', 'changed'];
+    const dryRun = args.dryRun !== false;
+    
+    const [from, to] = [this.resolveTarget(source), this.resolveTarget(target)];
+    if (!from.management || !to.management) {
       throw new Error('Contentful management client not available');
     }
+    // Profiles may name the same space, and local profiles the same store file
+    const location = ({ profileName, backend, spaceId, environmentId }) => backend === 'local'
+      ? `local:${this.profiles[profileName].storeFile}:${environmentId}`
+      : `${spaceId}:${environmentId}`;
+    if (location(from) === location(to)) {
+      throw new Error(`Source and target are the same environment (${from.profileName}/${from.environmentId}); ` +
+        'set targetEnvironment or targetProfile to promote to another one');
+    }
     
     try {
-      const space = await managementClient.getSpace(CONTENTFUL_SPACE_ID);
-      const environment = await space.getEnvironment('master');
-      const entry = await environment.getEntry(args.entryId);
+      const [sourceEnvironment, targetEnvironment] = await Promise.all([
+        this.getEnvironment(source),
+        this.getEnvironment(target)
+      ]);
+      
+      const contentTypeIds = sections.map(section => CONTENT_TYPES[section]);
+      const diff = { contentTypes: [], entries: [] };
+      
+      // Content type definitions
+      const [sourceTypes, targetTypes] = await Promise.all([
+        fetchAll(query => sourceEnvironment.getContentTypes(query)),
+        fetchAll(query => targetEnvironment.getContentTypes(query))
+      ]);
+      const targetTypesById = new Map(targetTypes.map(contentType => [contentType.sys.id, contentType]));
+      
+      for (const contentType of sourceTypes) {
+        if (!contentTypeIds.includes(contentType.sys.id)) continue;
+        
+        const existing = targetTypesById.get(contentType.sys.id);
+        if (!existing) {
+          diff.contentTypes.push({ change: 'added', id: contentType.sys.id, source: contentType });
+        } else {
+          const sourceFields = new Map(contentType.fields.map(field => [field.id, field]));
+          const targetFields = new Map(existing.fields.map(field => [field.id, field]));
+          const fields = [...new Set([...sourceFields.keys(), ...targetFields.keys()])]
+            .filter(fieldId => JSON.stringify(sourceFields.get(fieldId)) !== JSON.stringify(targetFields.get(fieldId)));
+          const changed = JSON.stringify(contentTypeDefinition(contentType)) !== JSON.stringify(contentTypeDefinition(existing));
+          
+          if (changed) {
+            diff.contentTypes.push({ change: 'changed', id: contentType.sys.id, fields, source: contentType, target: existing });
+          }
+        }
+      }
       
-      // Update fields
-      Object.keys(args.fields).forEach(fieldName => {
-        if (entry.fields[fieldName]) {
-          entry.fields[fieldName]['en-US'] = args.fields[fieldName];
+      // Entries, matched by ID first and then by slug or display name
+      const idMap = new Map();
+      const matchKey = (contentType, fields) => contentType === 'categoryPage' && fields.slug
+        ? slugify(Object.values(fields.slug)[0])
+        : slugify(entryLabel(fields));
+      
+      for (const contentType of contentTypeIds) {
+        const [sourceEntries, targetEntries] = await Promise.all([
+          fetchAll(query => sourceEnvironment.getEntries(query), { content_type: contentType }),
+          fetchAll(query => targetEnvironment.getEntries(query), { content_type: contentType })
+        ]);
+        const targetById = new Map(targetEntries.map(entry => [entry.sys.id, entry]));
+        const targetByKey = new Map(targetEntries.map(entry => [matchKey(contentType, entry.fields), entry]));
+        
+        for (const entry of sourceEntries) {
+          const match = targetById.get(entry.sys.id) || targetByKey.get(matchKey(contentType, entry.fields));
+          if (!match) {
+            diff.entries.push({ change: 'added', contentType, id: entry.sys.id, label: entryLabel(entry.fields), source: entry });
+            continue;
+          }
+          
+          idMap.set(entry.sys.id, match.sys.id);
+          targetById.delete(match.sys.id);
+          targetByKey.delete(matchKey(contentType, match.fields));
+          diff.entries.push({ change: 'changed', contentType, id: entry.sys.id, targetId: match.sys.id, label: entryLabel(entry.fields), source: entry, target: match });
         }
+        
+        targetById.forEach(entry => {
+          diff.entries.push({ change: 'removed', contentType, id: entry.sys.id, label: entryLabel(entry.fields), target: entry });
+        });
+      }
+      
+      // Compare matched entries once every ID is mapped, so links to renamed IDs are not reported as changes
+      diff.entries = diff.entries.filter(item => {
+        if (item.change !== 'changed') return true;
+        item.fields = changedFields(remapLinks(item.source.fields, idMap), item.target.fields);
+        return item.fields.length > 0;
       });
       
-      await entry.update();
-      await entry.publish();
+      const selected = diff.entries.filter(item => include.includes(item.change) &&
+        (!args.entryIds?.length || args.entryIds.includes(item.id) || args.entryIds.includes(item.targetId)));
+      const selectedTypes = args.applyContentTypes ? diff.contentTypes : [];
+      
+      const describeType = item => `${{ added: '+', changed: '~' }[item.change]} content type ${item.id}` +
+        (item.fields?.length ? ` [${item.fields.join(', ')}]` : '');
+      const describeEntry = item => `${{ added: '+', changed: '~', removed: '-' }[item.change]} ${item.contentType} ${item.id}` +
+        (item.targetId && item.targetId !== item.id ? ` -> ${item.targetId}` : '') +
+        ` "${item.label}"` + (item.fields ? ` [${item.fields.join(', ')}]` : '');
+      
+      const sourceName = `${from.profileName}/${from.environmentId}`;
+      const targetName = `${to.profileName}/${to.environmentId}`;
+      
+      if (dryRun) {
+        if (args.format === 'json') {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                source: sourceName,
+                target: targetName,
+                contentTypes: diff.contentTypes.map(({ change, id, fields }) => ({ change, id, fields })),
+                entries: diff.entries.map(({ change, contentType, id, targetId, label, fields }) =>
+                  ({ change, contentType, id, targetId, label, fields })),
+                selected: selected.map(item => item.id)
+              }, null, 2)
+            }]
+          };
+        }
+        
+        const lines = [...diff.contentTypes.map(describeType), ...diff.entries.map(describeEntry)];
+        if (lines.length > MAX_DIFF_LINES) {
+          lines.splice(MAX_DIFF_LINES, lines.length, `... and ${lines.length - MAX_DIFF_LINES} more (use format: json for the full diff)`);
+        }
+        return {
+          content: [{
+            type: 'text',
+            text: lines.length === 0
+              ? `✅ ${targetName} already matches ${sourceName}`
+              : `🔍 Diff ${sourceName} -> ${targetName}: ${diff.contentTypes.length} content type and ${diff.entries.length} entry differences\n` +
+                `${lines.join('\n')}\n\n${selected.length} entry changes selected (${include.join(', ')})` +
+                `${diff.contentTypes.length ? `, content types ${args.applyContentTypes ? 'included' : 'excluded (set applyContentTypes)'}` : ''}. ` +
+                'Run again with dryRun: false to apply.'
+          }]
+        };
+      }
+      
+      const applied = [];
+      const failed = [];
+      
+      // Content types first so new fields exist before entries use them
+      for (const item of selectedTypes) {
+        try {
+          let contentType;
+          if (item.change === 'added') {
+            this.policy.checkContentType(item.id);
+            contentType = await targetEnvironment.createContentTypeWithId(item.id, contentTypeDefinition(item.source));
+            this.auditContentType(contentType, target, { created: true });
+          } else {
+            this.auditContentType(item.target, target);
+            Object.assign(item.target, contentTypeDefinition(item.source));
+            contentType = await item.target.update();
+          }
+          await contentType.publish();
+          applied.push(describeType(item));
+        } catch (error) {
+          failed.push(`${describeType(item)}: ${error.message}`);
+        }
+      }
+      
+      // Write everything as drafts first, then publish, so links between new entries resolve
+      const toPublish = [];
+      for (const item of selected) {
+        try {
+          if (item.change === 'removed') {
+            let entry = item.target;
+            this.auditEntry(entry, target);
+            if (entry.isArchived()) entry = await entry.unarchive();
+            if (entry.isPublished()) entry = await entry.unpublish();
+            await entry.delete();
+          } else if (item.change === 'added') {
+            this.policy.checkContentType(item.contentType);
+            const entry = await targetEnvironment.createEntryWithId(item.contentType, item.id, {
+              fields: remapLinks(item.source.fields, idMap)
+            });
+            this.auditEntry(entry, target, { created: true });
+            if (item.source.isPublished()) toPublish.push({ item, entry });
+          } else {
+            this.auditEntry(item.target, target);
+            item.target.fields = remapLinks(item.source.fields, idMap);
+            const entry = await item.target.update();
+            if (item.source.isPublished()) toPublish.push({ item, entry });
+          }
+          if (item.change === 'removed' || !item.source.isPublished()) {
+            applied.push(describeEntry(item));
+          }
+        } catch (error) {
+          failed.push(`${describeEntry(item)}: ${error.message}`);
+        }
+      }
+      
+      for (const { item, entry } of toPublish) {
+        try {
+          await entry.publish();
+          applied.push(describeEntry(item));
+        } catch (error) {
+          failed.push(`${describeEntry(item)}: saved as draft, publish failed: ${error.message}`);
+        }
+      }
       
       return {
         content: [{
           type: 'text',
-          text: `✅ Successfully updated AI tool (ID: ${args.entryId})`
+          text: `${failed.length === 0 ? '✅' : '⚠️'} Promoted ${sourceName} -> ${targetName}: ${applied.length} applied, ${failed.length} failed` +
+            (applied.length ? `\n\nApplied:\n${applied.join('\n')}` : '') +
+            (failed.length ? `\n\nFailed:\n${failed.join('\n')}` : '')
         }]
       };
     } catch (error) {
-      throw new Error(`Failed to update AI tool: ${error.message}`);
+      throw new Error(`Promotion failed: ${error.message}`);
     }
   }
 
-  async deleteAITool(args) {
-    if (!managementClient) {
-      throw new Error('Contentful management client not available');
+  async resolveBackupFile(file) {
+    if (file) {
+      const backupPath = path.resolve(BACKUP_DIR, file);
+      if (path.dirname(backupPath) !== BACKUP_DIR) {
+        throw new Error(`Backup must be inside ${BACKUP_DIR}`);
+      }
+      if (!await fs.pathExists(backupPath)) {
+        throw new Error(`Backup not found: ${file}`);
+      }
+      return backupPath;
     }
     
-    try {
-      const space = await managementClient.getSpace(CONTENTFUL_SPACE_ID);
-      const environment = await space.getEnvironment('master');
-      const entry = await environment.getEntry(args.entryId);
-      
-      // Unpublish then delete
-      await entry.unpublish();
-      await entry.delete();
-      
-      return {
-        content: [{
-          type: 'text',
-          text: `✅ Successfully deleted AI tool (ID: ${args.entryId})`
-        }]
-      };
-    } catch (error) {
-      throw new Error(`Failed to delete AI tool: ${error.message}`);
+    const backups = await this.findBackups();
+    if (backups.length === 0) {
+      throw new Error(`No backups found in ${BACKUP_DIR}`);
     }
+    return backups[backups.length - 1].path;
   }
 
-  async addAITerm(args) {
-    if (!managementClient) {
-      throw new Error('Contentful management client not available');
+  async contentfulDiagnostics(args = {}) {
+    const target = this.resolveTarget(args);
+    const diagnostics = {
+      profile: target.profileName,
+      spaceId: target.spaceId || null,
+      environment: target.environmentId,
+      backend: target.backend,
+      managementClient: Boolean(target.management),
+      deliveryClient: Boolean(target.delivery),
+      ...(target.backend === 'local' ? { storeFile: this.profiles[target.profileName].storeFile } : {
+        managementHost: CONTENTFUL_MANAGEMENT_HOST || 'api.contentful.com',
+        deliveryHost: CONTENTFUL_DELIVERY_HOST || 'cdn.contentful.com'
+      }),
+      environmentCached: Boolean(target.environmentPromise),
+      queue: requestQueue.getStats()
+    };
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(diagnostics, null, 2)
+      }]
+    };
+  }
+
+  async listProfiles() {
+    const lines = Object.entries(this.profiles).map(([name, profile]) => {
+      const active = name === this.activeProfile;
+      const environment = (active && this.activeEnvironment) || profile.environment;
+      const access = profile.backend === 'local'
+        ? [`local store ${path.relative(process.cwd(), profile.storeFile) || profile.storeFile}`]
+        : [profile.managementToken && 'management', profile.deliveryToken && 'delivery'].filter(Boolean);
+      return `${active ? '▶' : ' '} ${name}: space ${profile.spaceId || '(not set)'}, environment ${environment}` +
+        ` [${access.join(', ') || 'no tokens'}]${profile.description ? ` - ${profile.description}` : ''}`;
+    });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `Contentful profiles (${fs.pathExistsSync(CONTENTFUL_PROFILES_FILE) ? CONTENTFUL_PROFILES_FILE : 'environment variables only'}):\n${lines.join('\n')}`
+      }]
+    };
+  }
+
+  async switchProfile(args) {
+    if (!this.profiles[args.profile]) {
+      throw new Error(`Unknown profile "${args.profile}", available: ${Object.keys(this.profiles).join(', ')}`);
     }
+    
+    this.activeProfile = args.profile;
+    this.activeEnvironment = args.environment || null;
+    const target = this.resolveTarget();
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Switched to profile "${target.profileName}" (space ${target.spaceId || '(not set)'}, environment ${target.environmentId})`
+      }]
+    };
+  }
 
-    const validatedTerm = TermSchema.parse(args);
+  async syncGitHubProjects(args = {}) {
+    const options = GitHubSyncSchema.parse(args);
+    const publishing = PublishSchema.parse(args);
+    const username = options.username || GITHUB_USERNAME;
+    if (!username) {
+      throw new Error('No GitHub username: pass username or set GITHUB_USERNAME');
+    }
+    if (options.syncToContentful && !this.resolveTarget(args).management) {
+      throw new Error('Contentful management client not available');
+    }
     
     try {
-      const space = await managementClient.getSpace(CONTENTFUL_SPACE_ID);
-      const environment = await space.getEnvironment('master');
+      const { repositories, pages, notModified } = await this.github.listRepositories(username, { refresh: options.forceRefresh });
+      const filters = {
+        topics: options.topics,
+        minStars: options.minStars,
+        includeArchived: options.includeArchived,
+        includeForks: options.includeForks
+      };
+      const projects = filterRepositories(repositories, filters);
+      const previous = await fs.readJson(GITHUB_PROJECTS_FILE).catch(() => null);
+      const unchanged = previous?.username === username &&
+        JSON.stringify([previous.filters, previous.projects]) === JSON.stringify([filters, projects]);
+      const relativePath = path.relative(SITE_ROOT, GITHUB_PROJECTS_FILE);
       
-      const entry = await environment.createEntry('aiTerm', {
-        fields: {
-          term: { 'en-US': validatedTerm.term },
-          definition: { 'en-US': validatedTerm.definition },
-          category: { 'en-US': validatedTerm.category },
-          ...(validatedTerm.relatedTerms && { relatedTerms: { 'en-US': validatedTerm.relatedTerms } }),
-          ...(validatedTerm.examples && { examples: { 'en-US': validatedTerm.examples } })
-        }
-      });
+      if (!unchanged) {
+        await this.writeSiteJson(GITHUB_PROJECTS_FILE, { username, syncedAt: new Date().toISOString(), filters, projects });
+      }
       
-      await entry.publish();
+      const lines = [
+        unchanged
+          ? `ℹ️ ${relativePath} is up to date: ${projects.length} projects for ${username}`
+          : `✅ Wrote ${projects.length} projects for ${username} to ${relativePath}`,
+        `${repositories.length} repositories on GitHub, ${repositories.length - projects.length} filtered out; ` +
+          `${pages} API page(s), ${notModified} unchanged since the last sync`
+      ];
+      
+      if (options.syncToContentful) {
+        lines.push(await this.upsertProjects(projects, publishing, args));
+      }
       
       return {
         content: [{
           type: 'text',
-          text: `✅ Successfully added AI term "${validatedTerm.term}" to Contentful (ID: ${entry.sys.id})`
+          text: lines.join('\n')
         }]
       };
     } catch (error) {
-      throw new Error(`Failed to add AI term: ${error.message}`);
+      throw new Error(`GitHub sync failed: ${error.message}`);
     }
   }
 
-  async createCategoryPage(args) {
-    if (!managementClient) {
-      throw new Error('Contentful management client not available');
+  // Create or update one project entry per repository, matched on the repository URL
+  async upsertProjects(projects, publishing, args) {
+    const environment = await this.getEnvironment(args);
+    const { defaultLocale } = await this.getLocales(args);
+    const notes = [];
+    
+    this.policy.checkContentType('project');
+    try {
+      await environment.getContentType('project');
+    } catch (error) {
+      if (error.name !== 'NotFound') throw error;
+      const contentType = await environment.createContentTypeWithId('project', {
+        name: 'Project',
+        displayField: 'name',
+        fields: PROJECT_FIELDS.map(field => ({ localized: false, required: false, validations: [], ...field }))
+      });
+      this.auditContentType(contentType, args, { created: true });
+      await contentType.publish();
+      notes.push('created the project content type');
+    }
+    
+    const entries = await fetchAll(query => environment.getEntries(query), { content_type: 'project' });
+    const byUrl = new Map(entries.map(entry => [entry.fields.url?.[defaultLocale], entry]));
+    const counts = { created: 0, updated: 0, unchanged: 0 };
+    const statuses = new Set();
+    
+    for (const project of projects) {
+      const fields = Object.fromEntries(PROJECT_FIELDS
+        .filter(field => project[field.id] !== null && project[field.id] !== undefined)
+        .map(field => [field.id, { [defaultLocale]: project[field.id] }]));
+      const entry = byUrl.get(project.url);
+      
+      if (!entry) {
+        const created = await environment.createEntry('project', { fields });
+        this.auditEntry(created, args, { created: true });
+        statuses.add(await this.applyPublishMode(created, publishing, args));
+        counts.created++;
+        continue;
+      }
+      
+      const changed = Object.keys(fields)
+        .filter(fieldId => JSON.stringify(entry.fields[fieldId]?.[defaultLocale]) !== JSON.stringify(fields[fieldId][defaultLocale]));
+      if (changed.length === 0) {
+        counts.unchanged++;
+        continue;
+      }
+      this.auditEntry(entry, args);
+      changed.forEach(fieldId => {
+        entry.fields[fieldId] = { ...entry.fields[fieldId], ...fields[fieldId] };
+      });
+      const updated = await entry.update();
+      statuses.add(await this.applyPublishMode(updated, publishing, args));
+      counts.updated++;
     }
-
-    const validatedCategory = CategorySchema.parse(args);
     
+    return `Contentful projects: ${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged` +
+      `${statuses.size ? ` (${[...statuses].join(', ')})` : ''}${notes.length ? `; ${notes.join(', ')}` : ''}`;
+  }
+
+  async viewAuditLog(args = {}) {
     try {
-      const space = await managementClient.getSpace(CONTENTFUL_SPACE_ID);
-      const environment = await space.getEnvironment('master');
+      const records = await this.readAuditLog();
       
-      const entry = await environment.createEntry('categoryPage', {
-        fields: {
-          title: { 'en-US': validatedCategory.name },
-          slug: { 'en-US': validatedCategory.slug },
-          description: { 'en-US': validatedCategory.description },
-          icon: { 'en-US': validatedCategory.icon },
-          filterBy: { 'en-US': validatedCategory.filterBy },
-          filterValues: { 'en-US': validatedCategory.filterValues }
+      if (args.id) {
+        const record = records.find(candidate => candidate.id === args.id);
+        if (!record) {
+          throw new Error(`Unknown audit record ${args.id}`);
         }
-      });
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(record, null, 2)
+          }]
+        };
+      }
       
-      await entry.publish();
+      const undoneBy = new Map(records.filter(record => record.undoes).map(record => [record.undoes, record.id]));
+      const since = args.since && new Date(args.since).toISOString();
+      const until = args.until && new Date(args.until).toISOString();
+      const matches = records.filter(record =>
+        (!args.tool || record.tool === args.tool) &&
+        (!args.entryId || record.changes.some(change => change.kind === 'entry' && change.id === args.entryId)) &&
+        (!args.file || record.changes.some(change => change.kind === 'file' && change.path.includes(args.file))) &&
+        (!since || record.timestamp >= since) &&
+        (!until || record.timestamp < until)).reverse();
+      const shown = matches.slice(0, args.limit || 20);
+      
+      if (shown.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ No matching changes in ${AUDIT_LOG_FILE}`
+          }]
+        };
+      }
+      
+      const describe = change => {
+        switch (change.kind) {
+          case 'entry':
+            return `${change.before ? '' : 'new '}${change.contentType} ${change.id} "${change.label}"`;
+          case 'file':
+            return path.relative(SITE_ROOT, change.path).startsWith('..') ? change.path : path.relative(SITE_ROOT, change.path);
+          default:
+            return `${change.kind} ${change.id}`;
+        }
+      };
+      const lines = shown.map(record => {
+        const targets = record.changes.length === 0 ? 'no changes' : record.changes.slice(0, 3).map(describe).join(', ') +
+          (record.changes.length > 3 ? ` and ${record.changes.length - 3} more` : '');
+        const notes = [
+          record.status === 'failed' && `❌ failed: ${record.error}`,
+          record.undoes && `undoes ${record.undoes}`,
+          undoneBy.has(record.id) && `↩️ undone by ${undoneBy.get(record.id)}`
+        ].filter(Boolean);
+        return `${record.id} ${record.timestamp} ${record.tool}: ${targets}${notes.length ? ` (${notes.join('; ')})` : ''}`;
+      });
       
       return {
         content: [{
           type: 'text',
-          text: `✅ Successfully created category page "${validatedCategory.name}" (ID: ${entry.sys.id})`
+          text: `📜 ${shown.length} of ${matches.length} matching changes (newest first):\n${lines.join('\n')}\n\n` +
+            'Pass id to see a record in full, or undo it with undo_change'
         }]
       };
     } catch (error) {
-      throw new Error(`Failed to create category page: ${error.message}`);
+      throw new Error(`Failed to read audit log: ${error.message}`);
     }
   }
 
-  async updateSEOConfig(args) {
+  async undoChange(args = {}) {
+    const dryRun = args.dryRun !== false;
+    
     try {
-      const seoPath = path.join(SITE_ROOT, 'src/components/SEO/SEOMetaTags.tsx');
-      let content = await fs.readFile(seoPath, 'utf8');
+      const records = await this.readAuditLog();
+      // Newest first, so an undo that was itself undone no longer counts
+      const undone = new Set();
+      [...records].reverse().forEach(record => {
+        if (record.undoes && !undone.has(record.id)) undone.add(record.undoes);
+      });
+      const record = args.id
+        ? records.find(candidate => candidate.id === args.id)
+        : [...records].reverse().find(candidate => !candidate.undoes && !undone.has(candidate.id));
+      if (!record) {
+        throw new Error(args.id ? `Unknown audit record ${args.id}` : 'Nothing to undo');
+      }
+      if (undone.has(record.id)) {
+        throw new Error(`Change ${record.id} has already been undone`);
+      }
       
-      if (args.domain) {
-        content = content.replace(
-          /const siteUrl = [^;]+;/,
-          `const siteUrl = process.env.NODE_ENV === 'production' ? 'https://${args.domain}' : 'http://localhost:8080';`
-        );
-        
-        // Update all hardcoded URLs in SEO configs
-        content = content.replace(/https:\/\/[^"']+\.com/g, `https://${args.domain}`);
+      // Later calls that touched the same thing conflict unless they have been undone since
+      const position = new Map(records.map((candidate, index) => [candidate.id, index]));
+      const later = records.slice(position.get(record.id) + 1);
+      const reverted = candidate => undone.has(candidate.id) ||
+        (candidate.undoes && position.get(candidate.undoes) > position.get(record.id));
+      
+      // Later changes are reverted first so each step sees the state the next one expects
+      const steps = [];
+      for (const change of [...record.changes].reverse()) {
+        const touching = later.filter(candidate => candidate.changes.some(other => auditKey(other) === auditKey(change)));
+        steps.push(await this.planUndo(change, {
+          changedBy: touching.find(candidate => !reverted(candidate)),
+          settledAt: [record, ...touching].map(candidate => candidate.completedAt).sort().pop()
+        }));
+      }
+      
+      const title = `${record.id} (${record.tool} at ${record.timestamp})`;
+      const pending = steps.filter(step => step.apply);
+      const conflicts = steps.map(step => step.conflict).filter(Boolean);
+      const summary = steps.map(step => step.description).join('\n') +
+        (conflicts.length ? `\n\n⚠️ Changed again after ${record.id}:\n${conflicts.join('\n')}` : '');
+      
+      if (pending.length === 0) {
+        // Still logged as undone so the next undo_change moves on to the change before it
+        if (!dryRun) auditContext.getStore().undoes = record.id;
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ Nothing left to revert for ${title}${dryRun ? '' : ', marked as undone'}\n${summary}`
+          }]
+        };
+      }
+      if (dryRun) {
+        return {
+          content: [{
+            type: 'text',
+            text: `🔍 Dry run: undo ${title}\n${summary}\n\nRun again with dryRun: false to revert` +
+              (conflicts.length ? ' (and force: true to overwrite the later changes)' : '')
+          }]
+        };
+      }
+      if (conflicts.length > 0 && !args.force) {
+        throw new Error(`things were changed again after ${title}:\n${conflicts.join('\n')}\nPass force: true to revert them anyway`);
       }
       
-      await fs.writeFile(seoPath, content);
+      auditContext.getStore().undoes = record.id;
+      const failed = [];
+      for (const step of pending) {
+        try {
+          await step.apply();
+        } catch (error) {
+          failed.push(`${step.description}: ${error.message}`);
+        }
+      }
       
       return {
         content: [{
           type: 'text',
-          text: `✅ Successfully updated SEO configuration${args.domain ? ` with domain: ${args.domain}` : ''}`
+          text: `${failed.length ? '⚠️' : '✅'} Undid ${title}: ${pending.length - failed.length} of ${pending.length} steps reverted\n${summary}` +
+            (failed.length ? `\n\nFailed:\n${failed.join('\n')}` : '')
         }]
       };
     } catch (error) {
-      throw new Error(`Failed to update SEO config: ${error.message}`);
+      throw new Error(`Undo failed: ${error.message}`);
     }
   }
 
-  async validateContent(args) {
-    const { contentType } = args;
-    const issues = [];
+  // How to revert one logged change: a description, a conflict if it was changed again, and apply() unless there is nothing to do
+  async planUndo(change, { changedBy, settledAt }) {
+    const changedAgain = (name, updatedAt) => {
+      if (changedBy) return `${name} (by ${changedBy.tool} ${changedBy.id})`;
+      return updatedAt > settledAt ? name : null;
+    };
     
-    try {
-      if (contentType === 'tools' || contentType === 'all') {
-        // Validate AI tools
-        const tools = await deliveryClient?.getEntries({
-          content_type: 'aiTool',
-          limit: 1000
-        });
-        
-        tools?.items?.forEach(tool => {
-          const fields = tool.fields;
-          if (!fields.name) issues.push(`Tool ${tool.sys.id} missing name`);
-          if (!fields.description) issues.push(`Tool ${tool.sys.id} missing description`);
-          if (!fields.website) issues.push(`Tool ${tool.sys.id} missing website`);
-          if (!fields.category) issues.push(`Tool ${tool.sys.id} missing category`);
-        });
+    if (change.kind === 'file') {
+      const name = path.relative(SITE_ROOT, change.path).startsWith('..') ? change.path : path.relative(SITE_ROOT, change.path);
+      const exists = await fs.pathExists(change.path);
+      const current = exists ? await fs.readFile(change.path, 'utf8') : null;
+      if (current === change.before) {
+        return { description: `= ${name} already as before` };
       }
+      const conflict = changedAgain(name, exists ? (await fs.stat(change.path)).mtime.toISOString() : '');
       
-      if (contentType === 'terms' || contentType === 'all') {
-        // Validate AI terms
-        const terms = await deliveryClient?.getEntries({
-          content_type: 'aiTerm',
-          limit: 1000
-        });
-        
-        terms?.items?.forEach(term => {
-          const fields = term.fields;
-          if (!fields.term) issues.push(`Term ${term.sys.id} missing term name`);
-          if (!fields.definition) issues.push(`Term ${term.sys.id} missing definition`);
-          if (!fields.category) issues.push(`Term ${term.sys.id} missing category`);
-        });
+      return {
+        description: change.before === null ? `- remove ${name}` : `~ restore ${name}`,
+        conflict,
+        apply: async () => {
+          if (change.before === null) {
+            await this.removeSiteFile(change.path);
+          } else {
+            await this.writeSiteFile(change.path, change.before);
+          }
+        }
+      };
+    }
+    
+    const args = { profile: change.profile, environment: change.environment };
+    const location = change.profile === this.activeProfile ? change.environment : `${change.profile}/${change.environment}`;
+    
+    if (change.kind === 'contentType') {
+      return this.planContentTypeUndo(change, { args, location, changedAgain });
+    }
+    
+    if (change.kind === 'scheduledAction') {
+      const space = await this.getSpace(args);
+      const { items } = await space.getScheduledActions({ 'environment.sys.id': change.environment, 'sys.status': 'scheduled' });
+      const scheduled = items.find(action => action.sys.id === change.id);
+      return scheduled
+        ? { description: `- cancel scheduled ${change.action} of ${change.entryId} (${location})`, apply: () => scheduled.delete() }
+        : { description: `= scheduled ${change.action} of ${change.entryId} already ran or was canceled` };
+    }
+    
+    const environment = await this.getEnvironment(args);
+    const current = await environment.getEntry(change.id).catch(error => {
+      if (error.name === 'NotFound') return null;
+      throw error;
+    });
+    const name = `${change.contentType} ${change.id} "${change.label}" (${location})`;
+    const conflict = changedAgain(name, current ? current.sys.updatedAt : '');
+    
+    if (!change.before) {
+      if (!current) {
+        return { description: `= ${name} no longer exists` };
       }
-      
       return {
-        content: [{
-          type: 'text',
-          text: issues.length === 0 
-            ? '✅ All content validation passed'
-            : `❌ Found ${issues.length} validation issues:\n${issues.join('\n')}`
-        }]
+        description: `- delete ${name}`,
+        conflict,
+        apply: async () => {
+          let entry = current;
+          this.auditEntry(entry, args);
+          if (entry.isArchived()) entry = await entry.unarchive();
+          if (entry.isPublished()) entry = await entry.unpublish();
+          await entry.delete();
+        }
+      };
+    }
+    
+    const state = entryState(change.before.sys);
+    // An entry with unpublished changes gets its draft back; the older published version was not logged
+    const note = state === 'changed' ? ', published version not restored' : '';
+    
+    if (!current) {
+      return {
+        description: `+ recreate ${name} as ${state === 'changed' ? 'draft' : state}${note}`,
+        apply: async () => {
+          this.policy.checkContentType(change.contentType);
+          let entry = await environment.createEntryWithId(change.contentType, change.id, {
+            fields: change.before.fields,
+            ...(change.before.metadata && { metadata: change.before.metadata })
+          });
+          this.auditEntry(entry, args, { created: true });
+          if (state === 'published') entry = await entry.publish();
+          if (state === 'archived') await entry.archive();
+        }
       };
-    } catch (error) {
-      throw new Error(`Content validation failed: ${error.message}`);
     }
+    
+    const changedFields = [...new Set([...Object.keys(current.fields), ...Object.keys(change.before.fields)])]
+      .filter(fieldId => JSON.stringify(current.fields[fieldId]) !== JSON.stringify(change.before.fields[fieldId]));
+    const currentState = entryState(current.sys);
+    if (changedFields.length === 0 && currentState === state) {
+      return { description: `= ${name} already as before` };
+    }
+    
+    return {
+      description: `~ restore ${name}${changedFields.length ? ` [${changedFields.join(', ')}]` : ''}` +
+        `${currentState !== state ? ` ${currentState} → ${state}` : ''}${note}`,
+      conflict,
+      apply: async () => {
+        let entry = current;
+        this.auditEntry(entry, args);
+        if (entry.isArchived()) entry = await entry.unarchive();
+        if (changedFields.length > 0) {
+          entry.fields = change.before.fields;
+          if (change.before.metadata) entry.metadata = change.before.metadata;
+          entry = await entry.update();
+        }
+        if (state === 'published' && entryState(entry.sys) !== 'published') entry = await entry.publish();
+        if ((state === 'draft' || state === 'archived') && entry.isPublished()) entry = await entry.unpublish();
+        if (state === 'archived') await entry.archive();
+      }
+    };
   }
 
-  async backupContent(args) {
-    try {
-      const backup = {
-        timestamp: new Date().toISOString(),
-        tools: [],
-        terms: [],
-        categories: []
-      };
-      
-      if (deliveryClient) {
-        // Backup tools
-        const tools = await deliveryClient.getEntries({
-          content_type: 'aiTool',
-          limit: 1000
-        });
-        backup.tools = tools.items;
-        
-        // Backup terms
-        const terms = await deliveryClient.getEntries({
-          content_type: 'aiTerm',
-          limit: 1000
-        });
-        backup.terms = terms.items;
-        
-        // Backup categories
-        const categories = await deliveryClient.getEntries({
-          content_type: 'categoryPage',
-          limit: 100
-        });
-        backup.categories = categories.items;
+  // Undo of a content type change: restore the logged definition and republish, or delete a created type
+  async planContentTypeUndo(change, { args, location, changedAgain }) {
+    const environment = await this.getEnvironment(args);
+    const current = await environment.getContentType(change.id).catch(error => {
+      if (error.name === 'NotFound') return null;
+      throw error;
+    });
+    const name = `content type ${change.id} (${location})`;
+    
+    if (!change.before) {
+      if (!current) {
+        return { description: `= ${name} no longer exists` };
+      }
+      const { total } = await environment.getEntries({ content_type: change.id, limit: 1 });
+      if (total > 0) {
+        return { description: `⚠️ ${name} has ${total} entries, delete them before it can be removed` };
       }
-      
-      // Save backup file
-      const backupPath = path.join(SITE_ROOT, 'backups');
-      await fs.ensureDir(backupPath);
-      
-      const filename = `contentful-backup-${new Date().toISOString().split('T')[0]}.json`;
-      const filepath = path.join(backupPath, filename);
-      
-      await fs.writeFile(filepath, JSON.stringify(backup, null, 2));
-      
       return {
-        content: [{
-          type: 'text',
-          text: `✅ Content backup created: ${filename}\nTools: ${backup.tools.length}\nTerms: ${backup.terms.length}\nCategories: ${backup.categories.length}`
-        }]
+        description: `- delete ${name}`,
+        conflict: changedAgain(name, current.sys.updatedAt),
+        apply: async () => {
+          this.auditContentType(current, args);
+          const contentType = current.isPublished() ? await current.unpublish() : current;
+          await contentType.delete();
+        }
       };
-    } catch (error) {
-      throw new Error(`Backup failed: ${error.message}`);
     }
+    
+    const before = change.before;
+    if (!current) {
+      return {
+        description: `+ recreate ${name}`,
+        apply: async () => {
+          const contentType = await environment.createContentTypeWithId(change.id, before);
+          this.auditContentType(contentType, args, { created: true });
+          await contentType.publish();
+        }
+      };
+    }
+    
+    const definition = contentTypeDefinition(current);
+    const fieldIds = fields => fields.map(field => field.id);
+    const added = definition.fields.filter(field => !fieldIds(before.fields).includes(field.id));
+    const differences = [
+      ...added.map(field => `-${field.id}`),
+      ...before.fields.filter(field => !fieldIds(definition.fields).includes(field.id)).map(field => `+${field.id}`),
+      ...before.fields.filter(field => {
+        const now = definition.fields.find(candidate => candidate.id === field.id);
+        return now && JSON.stringify(now) !== JSON.stringify(field);
+      }).map(field => `~${field.id}`),
+      ...['name', 'description', 'displayField'].filter(key => (definition[key] ?? null) !== (before[key] ?? null))
+    ];
+    if (differences.length === 0) {
+      return { description: `= ${name} already as before` };
+    }
+    
+    return {
+      description: `~ restore ${name} [${differences.join(', ')}]`,
+      conflict: changedAgain(name, current.sys.updatedAt),
+      apply: async () => {
+        this.auditContentType(current, args);
+        let contentType = current;
+        // Contentful only removes a field that was omitted in an earlier published version
+        if (added.some(field => !field.omitted)) {
+          added.forEach(field => {
+            contentType.fields.find(candidate => candidate.id === field.id).omitted = true;
+          });
+          contentType = await (await contentType.update()).publish();
+        }
+        Object.assign(contentType, structuredClone(before));
+        contentType = await contentType.update();
+        await contentType.publish();
+      }
+    };
+  }
+
+  async readSiteConfig() {
+    return await fs.pathExists(SITE_CONFIG_FILE) ? fs.readJson(SITE_CONFIG_FILE) : {};
+  }
+
+  // Keep the current config as a history version, then replace it. The tool policy is checked
+  // for the config and the history before either is touched, so a denied write leaves both alone
+  async writeSiteConfig(config, reason) {
+    await this.auditFile(SITE_CONFIG_FILE);
+    
+    if (await fs.pathExists(SITE_CONFIG_FILE)) {
+      const savedAt = new Date().toISOString();
+      const id = savedAt.replace(/[:.]/g, '-');
+      await this.writeSiteJson(path.join(SITE_CONFIG_HISTORY_DIR, `${id}.json`), {
+        id,
+        savedAt,
+        replacedBy: reason,
+        config: await fs.readJson(SITE_CONFIG_FILE)
+      }, { audit: false });
+      
+      const versions = await this.listSiteConfigVersions();
+      for (const version of versions.slice(SITE_CONFIG_HISTORY_LIMIT)) {
+        await this.removeSiteFile(path.join(SITE_CONFIG_HISTORY_DIR, `${version.id}.json`), { audit: false });
+      }
+    }
+    
+    await this.writeSiteJson(SITE_CONFIG_FILE, config);
+  }
+
+  // History versions, newest first
+  async listSiteConfigVersions() {
+    const files = await glob('*.json', { cwd: SITE_CONFIG_HISTORY_DIR });
+    const versions = await Promise.all(files.map(file => fs.readJson(path.join(SITE_CONFIG_HISTORY_DIR, file))));
+    return versions.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
   }
 
-  async syncGitHubProjects(args) {
+  async updateSiteConfig(args = {}) {
+    const update = SiteConfigUpdateSchema.parse(args);
+    const dryRun = update.dryRun !== false;
+    
     try {
-      // This would integrate with the GitHub service
-      // For now, just return a status message
+      const before = await this.readSiteConfig();
+      const merged = update.config ? deepMerge(before, update.config) : before;
+      const after = applyJsonOperations(merged, update.operations || []);
+      
+      const diff = jsonDiff(before, after);
+      const relativePath = path.relative(SITE_ROOT, SITE_CONFIG_FILE);
+      if (diff.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ ${relativePath} already matches, nothing to change`
+          }]
+        };
+      }
+      
+      const errors = await siteConfigErrors(after);
+      if (errors?.length) {
+        throw new Error(`the result does not match ${path.basename(SITE_CONFIG_SCHEMA_FILE)}:\n${errors.join('\n')}`);
+      }
+      
+      const removed = diff.filter(line => line.startsWith('-')).length;
+      const notes = [
+        ...(removed ? [`⚠️ Removes ${removed} value(s)`] : []),
+        ...(errors ? [] : [`⚠️ Not validated: ${path.relative(SITE_ROOT, SITE_CONFIG_SCHEMA_FILE)} does not exist`])
+      ];
+      const shown = diff.length > MAX_DIFF_LINES
+        ? [...diff.slice(0, MAX_DIFF_LINES), `... and ${diff.length - MAX_DIFF_LINES} more lines`]
+        : diff;
+      const details = `${shown.join('\n')}${notes.length ? `\n\n${notes.join('\n')}` : ''}`;
+      
+      if (dryRun) {
+        return {
+          content: [{
+            type: 'text',
+            text: `🔍 Dry run: changes to ${relativePath}\n${details}\n\nRun again with dryRun: false to write them`
+          }]
+        };
+      }
+      
+      await this.writeSiteConfig(after, `update_site_config (${diff.length} changes)`);
+      
       return {
         content: [{
           type: 'text',
-          text: `✅ GitHub projects sync initiated${args.username ? ` for user: ${args.username}` : ''}`
+          text: `✅ Successfully updated ${relativePath}; the previous version is kept for revert_site_config\n${details}`
         }]
       };
     } catch (error) {
-      throw new Error(`GitHub sync failed: ${error.message}`);
+      throw new Error(`Site config update failed: ${error.message}`);
     }
   }
 
-  async updateSiteConfig(args) {
+  async revertSiteConfig(args = {}) {
+    const dryRun = args.dryRun !== false;
+    
     try {
-      const configPath = path.join(SITE_ROOT, 'site.config.json');
+      const versions = await this.listSiteConfigVersions();
+      if (versions.length === 0) {
+        throw new Error('No earlier versions saved yet');
+      }
+      
+      const version = args.version ? versions.find(candidate => candidate.id === args.version) : versions[0];
+      if (!version) {
+        throw new Error(`Unknown version ${args.version}. Recent versions: ${versions.slice(0, 5).map(candidate => candidate.id).join(', ')}`);
+      }
+      
+      const current = await this.readSiteConfig();
+      const diff = jsonDiff(current, version.config);
+      const relativePath = path.relative(SITE_ROOT, SITE_CONFIG_FILE);
+      if (diff.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ ${relativePath} already matches version ${version.id}`
+          }]
+        };
+      }
       
-      let currentConfig = {};
-      if (await fs.pathExists(configPath)) {
-        currentConfig = await fs.readJSON(configPath);
+      // Old versions may predate the current schema; restore them anyway but say so
+      const errors = await siteConfigErrors(version.config);
+      const warning = errors?.length ? `\n\n⚠️ Version ${version.id} does not match ${path.basename(SITE_CONFIG_SCHEMA_FILE)}:\n${errors.join('\n')}` : '';
+      const shown = diff.length > MAX_DIFF_LINES
+        ? [...diff.slice(0, MAX_DIFF_LINES), `... and ${diff.length - MAX_DIFF_LINES} more lines`]
+        : diff;
+      
+      if (dryRun) {
+        const history = versions.slice(0, 10).map(candidate =>
+          `${candidate.id === version.id ? '→' : ' '} ${candidate.id} (replaced by ${candidate.replacedBy})`);
+        return {
+          content: [{
+            type: 'text',
+            text: `🔍 Dry run: reverting ${relativePath} to version ${version.id}\n${shown.join('\n')}${warning}\n\n` +
+              `Versions (newest first):\n${history.join('\n')}${versions.length > 10 ? `\n  ... and ${versions.length - 10} older` : ''}\n\n` +
+              'Run again with dryRun: false to revert'
+          }]
+        };
       }
       
-      const newConfig = { ...currentConfig, ...args.config };
-      await fs.writeJSON(configPath, newConfig, { spaces: 2 });
+      await this.writeSiteConfig(version.config, `revert_site_config to ${version.id}`);
       
       return {
         content: [{
           type: 'text',
-          text: `✅ Site configuration updated successfully`
+          text: `✅ Reverted ${relativePath} to version ${version.id}; the replaced config is kept in the history\n${shown.join('\n')}${warning}`
         }]
       };
     } catch (error) {
-      throw new Error(`Site config update failed: ${error.message}`);
+      throw new Error(`Site config revert failed: ${error.message}`);
     }
   }
 
@@ -814,5 +7705,21 @@ class SiteManagementServer {
   }
 }
 
-const server = new SiteManagementServer();
-server.run().catch(console.error);
\ No newline at end of file
+export {
+  SiteManagementServer,
+  RequestQueue,
+  LinkChecker,
+  GitHubClient,
+  filterRepositories,
+  applySEOToComponent,
+  AUDIT_RULES,
+  CONTENT_FIXES,
+  canonicalTagSpellings
+};
+
+// Start the stdio server when run directly, not when imported (e.g. by tests injecting a fetch)
+const entryPoint = process.argv[1] && path.resolve(process.argv[1]);
+if (entryPoint && [entryPoint, `${entryPoint}.js`].some(file => fs.existsSync(file) && fs.realpathSync(file) === __filename)) {
+  const server = new SiteManagementServer();
+  server.run().catch(console.error);
+}
\ No newline at end of file
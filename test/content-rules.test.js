@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AUDIT_RULES, CONTENT_FIXES, canonicalTagSpellings } from '../server.js';
+
+const tools = () => [
+  { sys: { id: 'one' }, fields: { tags: ['Chat', 'LLMs', 'Open-Source'] } },
+  { sys: { id: 'two' }, fields: { tags: ['chat', 'LLM'] } },
+  { sys: { id: 'three' }, fields: { tags: ['LLM', 'open source'] } },
+  { sys: { id: 'four' }, fields: { tags: ['open source', 'llm'] } }
+];
+
+// tag-drift findings as "entry: message"
+const audit = (entries, vocabulary = []) => {
+  const issues = [];
+  AUDIT_RULES['tag-drift'].check({ tools: entries }, { vocabulary }, (section, entry, message) => {
+    issues.push(`${entry.sys.id}: ${message}`);
+  });
+  return issues;
+};
+
+// Entries after fix_content's tag-casing fix
+const fix = (entries, vocabulary = []) => {
+  const tagSpellings = canonicalTagSpellings(entries.map(entry => entry.fields.tags), vocabulary);
+  return entries.map(entry => ({
+    ...entry,
+    fields: { ...entry.fields, ...CONTENT_FIXES['tag-casing'].fix(entry.fields, { tagSpellings }) }
+  }));
+};
+
+describe('canonicalTagSpellings', () => {
+  it('groups spellings by tag key and picks the most used one', () => {
+    const spellings = canonicalTagSpellings(tools().map(entry => entry.fields.tags));
+
+    assert.deepEqual(Object.fromEntries(spellings), { chat: 'Chat', llm: 'LLM', opensource: 'open source' });
+  });
+
+  it('breaks ties the same way whatever order the entries come in', () => {
+    const forward = canonicalTagSpellings([['chat'], ['Chat']]);
+    const reversed = canonicalTagSpellings([['Chat'], ['chat']]);
+
+    assert.equal(forward.get('chat'), 'Chat');
+    assert.equal(reversed.get('chat'), 'Chat');
+  });
+
+  it('prefers the vocabulary spelling', () => {
+    const spellings = canonicalTagSpellings(tools().map(entry => entry.fields.tags), ['Open Source', 'chat']);
+
+    assert.equal(spellings.get('opensource'), 'Open Source');
+    assert.equal(spellings.get('chat'), 'chat');
+    assert.equal(spellings.get('llm'), 'LLM');
+  });
+});
+
+describe('tag-drift and tag-casing', () => {
+  it('fix every spelling the audit reports, to the spelling it asks for', () => {
+    const issues = audit(tools());
+    assert.deepEqual(issues, [
+      'one: tag "LLMs" should be "LLM"',
+      'one: tag "Open-Source" should be "open source"',
+      'two: tag "chat" should be "Chat"',
+      'four: tag "llm" should be "LLM"'
+    ]);
+
+    const fixed = fix(tools());
+
+    assert.deepEqual(fixed.map(entry => entry.fields.tags), [
+      ['Chat', 'LLM', 'open source'],
+      ['Chat', 'LLM'],
+      ['LLM', 'open source'],
+      ['open source', 'LLM']
+    ]);
+    assert.deepEqual(audit(fixed), []);
+  });
+
+  it('agree on the vocabulary spellings', () => {
+    const vocabulary = ['chat', 'llm', 'Open Source'];
+
+    assert.equal(audit(tools(), vocabulary).length, 7);
+    assert.deepEqual(audit(fix(tools(), vocabulary), vocabulary), []);
+  });
+
+  it('drop tags that become duplicates', () => {
+    const entries = [{ sys: { id: 'one' }, fields: { tags: ['LLM', 'llms', 'LLMs'] } }];
+
+    assert.deepEqual(fix(entries)[0].fields.tags, ['LLM']);
+    assert.deepEqual(audit(fix(entries)), []);
+  });
+});
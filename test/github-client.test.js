@@ -0,0 +1,168 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { GitHubClient, filterRepositories } from '../server.js';
+import { startServer, sendJson } from './helpers.js';
+
+// GitHub REST API repository objects, as /users/{username}/repos returns them
+const repository = (id, overrides = {}) => ({
+  id,
+  name: `repo-${id}`,
+  full_name: `octo/repo-${id}`,
+  description: null,
+  html_url: `https://github.com/octo/repo-${id}`,
+  homepage: null,
+  language: 'JavaScript',
+  topics: [],
+  stargazers_count: 0,
+  forks_count: 0,
+  archived: false,
+  fork: false,
+  pushed_at: '2026-01-01T00:00:00Z',
+  ...overrides
+});
+
+describe('GitHubClient', () => {
+  let server;
+  let cacheDir;
+  let cacheFile;
+  // 100 repositories fill the first page, so the client asks for a second one
+  let pages;
+
+  before(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'github-client-'));
+    server = await startServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const match = url.pathname.match(/^\/users\/([^/]+)\/repos$/);
+      if (!match || match[1] !== 'octo') return sendJson(res, 404, { message: 'Not Found' });
+      if (req.headers.authorization === 'Bearer spent') {
+        return sendJson(res, 403, { message: 'API rate limit exceeded' }, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1800000000' });
+      }
+
+      const page = Number(url.searchParams.get('page'));
+      const etag = `"page-${page}-v${pages.version}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { etag });
+        return res.end();
+      }
+      sendJson(res, 200, pages[page - 1] || [], { etag });
+    });
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.remove(cacheDir);
+  });
+
+  beforeEach(() => {
+    cacheFile = path.join(cacheDir, `cache-${Date.now()}-${Math.random()}.json`);
+    pages = [
+      Array.from({ length: 100 }, (_, index) => repository(index + 1)),
+      [repository(101), repository(102)]
+    ];
+    pages.version = 1;
+  });
+
+  const client = (options = {}) => new GitHubClient({ fetch, apiUrl: `${server.url}/`, timeout: 1000, cacheFile, ...options });
+  const pageRequests = () => server.requests.filter(r => r.url.startsWith('/users/octo/repos'));
+
+  it('follows pages until one comes back short', async () => {
+    const before = pageRequests().length;
+
+    const result = await client().listRepositories('octo');
+
+    assert.equal(result.pages, 2);
+    assert.equal(result.notModified, 0);
+    assert.equal(result.repositories.length, 102);
+    assert.deepEqual(result.repositories[101], {
+      id: 102,
+      name: 'repo-102',
+      fullName: 'octo/repo-102',
+      description: '',
+      url: 'https://github.com/octo/repo-102',
+      homepage: null,
+      language: 'JavaScript',
+      topics: [],
+      stars: 0,
+      forks: 0,
+      archived: false,
+      fork: false,
+      updatedAt: '2026-01-01T00:00:00Z'
+    });
+    const urls = pageRequests().slice(before).map(r => new URL(r.url, 'http://localhost').searchParams);
+    assert.deepEqual(urls.map(params => params.get('page')), ['1', '2']);
+    assert.ok(urls.every(params => params.get('per_page') === '100'));
+  });
+
+  it('sends cached ETags and reuses pages that come back 304', async () => {
+    await client().listRepositories('octo');
+    const before = pageRequests().length;
+
+    const result = await client().listRepositories('octo');
+
+    assert.equal(result.notModified, 2);
+    assert.equal(result.repositories.length, 102);
+    assert.deepEqual(pageRequests().slice(before).map(r => r.headers['if-none-match']), ['"page-1-v1"', '"page-2-v1"']);
+  });
+
+  it('replaces pages that changed since they were cached', async () => {
+    await client().listRepositories('octo');
+    pages[1] = [repository(101), repository(102), repository(103)];
+    pages.version = 2;
+
+    const result = await client().listRepositories('octo');
+
+    assert.equal(result.notModified, 0);
+    assert.equal(result.repositories.length, 103);
+    assert.equal((await fs.readJson(cacheFile)).pages[1].etag, '"page-2-v2"');
+  });
+
+  it('skips the cache on refresh or for another user', async () => {
+    await client().listRepositories('octo');
+    let before = pageRequests().length;
+
+    const refreshed = await client().listRepositories('octo', { refresh: true });
+    assert.equal(refreshed.notModified, 0);
+    assert.ok(pageRequests().slice(before).every(r => !r.headers['if-none-match']));
+
+    await fs.writeJson(cacheFile, { ...(await fs.readJson(cacheFile)), username: 'someone-else' });
+    before = pageRequests().length;
+    const otherUser = await client().listRepositories('octo');
+    assert.equal(otherUser.notModified, 0);
+    assert.ok(pageRequests().slice(before).every(r => !r.headers['if-none-match']));
+  });
+
+  it('reports unknown users and rate limits', async () => {
+    await assert.rejects(client().listRepositories('nobody'), /GitHub user not found: nobody/);
+    await assert.rejects(client({ token: 'spent' }).listRepositories('octo'), /rate limit exceeded until 2027-01-15T08:00:00.000Z$/);
+    await assert.rejects(client({ apiUrl: 'http://127.0.0.1:1' }).listRepositories('octo'), /GitHub API unreachable/);
+  });
+});
+
+describe('filterRepositories', () => {
+  const repositories = [
+    { name: 'plain', topics: ['cli'], stars: 3, archived: false, fork: false },
+    { name: 'popular', topics: ['ai', 'mcp'], stars: 120, archived: false, fork: false },
+    { name: 'old', topics: ['ai'], stars: 50, archived: true, fork: false },
+    { name: 'forked', topics: ['ai'], stars: 10, archived: false, fork: true }
+  ];
+  const names = filters => filterRepositories(repositories, filters).map(repo => repo.name);
+
+  it('leaves out archived repositories and forks by default', () => {
+    assert.deepEqual(names(), ['plain', 'popular']);
+    assert.deepEqual(names({ includeArchived: true, includeForks: true }), ['plain', 'popular', 'old', 'forked']);
+  });
+
+  it('keeps repositories with any of the topics', () => {
+    assert.deepEqual(names({ topics: ['mcp', 'cli'] }), ['plain', 'popular']);
+    assert.deepEqual(names({ topics: ['ai'], includeArchived: true }), ['popular', 'old']);
+    assert.deepEqual(names({ topics: ['none'] }), []);
+  });
+
+  it('keeps repositories with at least minStars stars', () => {
+    assert.deepEqual(names({ minStars: 50, includeArchived: true }), ['popular', 'old']);
+    assert.deepEqual(names({ minStars: 121 }), []);
+  });
+});
@@ -0,0 +1,33 @@
+import http from 'http';
+
+// Local HTTP server for tests: handler(req, res, count) answers each request,
+// where count is how many requests the same method and path have had so far
+export async function startServer(handler) {
+  const requests = [];
+  const counts = new Map();
+
+  const server = http.createServer((req, res) => {
+    const key = `${req.method} ${req.url}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    handler(req, res, counts.get(key));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Send a response with a JSON body
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
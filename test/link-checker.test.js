@@ -0,0 +1,147 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { LinkChecker } from '../server.js';
+import { startServer } from './helpers.js';
+
+describe('LinkChecker', () => {
+  let server;
+  let cacheDir;
+  let cacheFile;
+
+  before(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'link-checker-'));
+    server = await startServer((req, res) => {
+      switch (req.url) {
+        case '/ok':
+          res.writeHead(200, { 'content-type': 'text/html' });
+          return res.end('<html></html>');
+        case '/logo.png':
+          res.writeHead(200, { 'content-type': 'image/png' });
+          return res.end();
+        case '/moved':
+          res.writeHead(301, { location: '/moved-again' });
+          return res.end();
+        case '/moved-again':
+          res.writeHead(302, { location: '/ok' });
+          return res.end();
+        case '/loop':
+          res.writeHead(302, { location: '/loop' });
+          return res.end();
+        case '/no-head':
+          res.writeHead(req.method === 'HEAD' ? 405 : 200);
+          return res.end();
+        case '/gone':
+          res.writeHead(404);
+          return res.end();
+        case '/stalled':
+          // Never answers
+          return;
+        default:
+          res.writeHead(500);
+          return res.end();
+      }
+    });
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.remove(cacheDir);
+  });
+
+  beforeEach(async () => {
+    cacheFile = path.join(cacheDir, `cache-${Date.now()}-${Math.random()}.json`);
+  });
+
+  const checker = (options = {}) => new LinkChecker({
+    fetch,
+    concurrency: 4,
+    timeout: 1000,
+    cacheFile,
+    cacheTtl: 60 * 60 * 1000,
+    ...options
+  });
+  const hits = url => server.requests.filter(r => r.url === url).length;
+
+  it('reports a working link with its content type', async () => {
+    const result = await checker().check(`${server.url}/logo.png`);
+
+    assert.equal(result.ok, true);
+    assert.equal(result.status, 200);
+    assert.equal(result.contentType, 'image/png');
+    assert.deepEqual(result.redirects, []);
+  });
+
+  it('follows redirects and records the chain', async () => {
+    const result = await checker().check(`${server.url}/moved`);
+
+    assert.equal(result.ok, true);
+    assert.equal(result.finalUrl, `${server.url}/ok`);
+    assert.deepEqual(result.redirects, [
+      { status: 301, url: `${server.url}/moved-again` },
+      { status: 302, url: `${server.url}/ok` }
+    ]);
+  });
+
+  it('gives up on redirect loops', async () => {
+    const result = await checker().check(`${server.url}/loop`);
+
+    assert.equal(result.ok, false);
+    assert.match(result.error, /more than \d+ redirects/);
+  });
+
+  it('retries with GET when HEAD is refused', async () => {
+    const result = await checker().check(`${server.url}/no-head`);
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(server.requests.filter(r => r.url === '/no-head').map(r => r.method), ['HEAD', 'GET']);
+  });
+
+  it('reports dead links', async () => {
+    const result = await checker().check(`${server.url}/gone`);
+
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 404);
+  });
+
+  it('times out on a server that does not answer', async () => {
+    const started = Date.now();
+    const result = await checker({ timeout: 200 }).check(`${server.url}/stalled`);
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error, 'timed out after 200ms');
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('caches working links but re-checks failures', async () => {
+    const urls = [`${server.url}/ok`, `${server.url}/gone`];
+    await checker().checkAll(urls);
+    const okHits = hits('/ok');
+    const goneHits = hits('/gone');
+
+    // A new checker reads the cache back from disk
+    const results = await checker().checkAll(urls);
+
+    assert.equal(results.get(urls[0]).cached, true);
+    assert.equal(results.get(urls[1]).cached, undefined);
+    assert.equal(hits('/ok'), okHits);
+    assert.equal(hits('/gone'), goneHits + 1);
+    assert.deepEqual(Object.keys(await fs.readJson(cacheFile)), [urls[0]]);
+  });
+
+  it('re-checks cached links when refreshing or once they expire', async () => {
+    const url = `${server.url}/logo.png`;
+    await checker().checkAll([url]);
+    const before = hits('/logo.png');
+
+    const refreshed = await checker().checkAll([url], { refresh: true });
+    assert.equal(refreshed.get(url).cached, undefined);
+    assert.equal(hits('/logo.png'), before + 1);
+
+    const expired = await checker({ cacheTtl: 0 }).checkAll([url]);
+    assert.equal(expired.get(url).cached, undefined);
+    assert.equal(hits('/logo.png'), before + 2);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+// server.js reads its settings when it is loaded, so they are set before importing it
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'live-schemas-'));
+Object.assign(process.env, {
+  CONTENT_BACKEND: 'local',
+  LOCAL_STORE_FILE: path.join(dir, 'local-store.json'),
+  AUDIT_LOG_FILE: path.join(dir, 'audit-log.jsonl'),
+  TOOL_POLICY_FILE: path.join(dir, 'tool-policy.json')
+});
+const { SiteManagementServer } = await import('../server.js');
+
+// MCP client connected to a new server, and the number of times the server read the content types
+async function connect({ failFirst = false } = {}) {
+  const server = new SiteManagementServer();
+  const environment = await server.getEnvironment();
+  const getContentTypes = environment.getContentTypes;
+  const fetches = { count: 0 };
+  environment.getContentTypes = query => {
+    fetches.count++;
+    if (failFirst && fetches.count === 1) return Promise.reject(new Error('Service unavailable'));
+    return getContentTypes(query);
+  };
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.server.connect(serverTransport);
+  const client = new Client({ name: 'live-schemas-test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return { client, fetches };
+}
+
+const categoryPageSchema = async client =>
+  (await client.listTools()).tools.find(tool => tool.name === 'create_category_page').inputSchema;
+
+const page = { name: 'Live Page', slug: 'live-page', description: 'Tools for testing', icon: 'test', filterBy: 'category', filterValues: ['Testing'] };
+
+describe('live tool schemas', () => {
+  before(async () => {
+    // A required field the built-in category page schema does not know
+    const { client } = await connect();
+    await client.callTool({ name: 'add_field', arguments: {
+      contentTypeId: 'categoryPage',
+      field: { id: 'featured', name: 'Featured', type: 'Boolean', required: true },
+      dryRun: false
+    } });
+    await client.close();
+  });
+
+  after(() => fs.remove(dir));
+
+  it('lists create_category_page with the fields of the live content type', async () => {
+    const { client } = await connect();
+    const schema = await categoryPageSchema(client);
+
+    assert.equal(schema.properties.featured.type, 'boolean');
+    assert.ok(schema.required.includes('featured'));
+    // The title field is still passed as name
+    assert.ok(schema.properties.name && !schema.properties.title);
+    assert.ok(schema.required.includes('name'));
+    await client.close();
+  });
+
+  it('validates create_category_page against the live content type', async () => {
+    const { client } = await connect();
+
+    await assert.rejects(client.callTool({ name: 'create_category_page', arguments: page }), /featured/);
+    const result = await client.callTool({ name: 'create_category_page', arguments: { ...page, featured: true } });
+    assert.match(result.content[0].text, /^✅/);
+    await client.close();
+  });
+
+  it('reads the content model once for repeated listings', async () => {
+    const { client, fetches } = await connect();
+    await client.listTools();
+    await client.listTools();
+
+    assert.equal(fetches.count, 1);
+    await client.close();
+  });
+
+  it('lists the built-in schemas after a failed read until a tool call loads the model', async () => {
+    const { client, fetches } = await connect({ failFirst: true });
+
+    assert.ok(!('featured' in (await categoryPageSchema(client)).properties));
+    assert.ok(!('featured' in (await categoryPageSchema(client)).properties));
+    assert.equal(fetches.count, 1);
+
+    await client.callTool({ name: 'describe_content_model', arguments: {} });
+    assert.ok('featured' in (await categoryPageSchema(client)).properties);
+    assert.equal(fetches.count, 2);
+    await client.close();
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { RequestQueue } from '../server.js';
+import { startServer, sendJson } from './helpers.js';
+
+describe('RequestQueue', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer((req, res, count) => {
+      switch (req.url) {
+        case '/rate-limited':
+          // Rejected once, then accepted
+          if (count === 1) return sendJson(res, 429, { message: 'Too many requests' }, { 'retry-after': '1' });
+          return sendJson(res, 200, { ok: true });
+        case '/unavailable':
+          if (count === 1) return sendJson(res, 503, { message: 'Unavailable' });
+          return sendJson(res, 200, { ok: true });
+        case '/broken':
+          return sendJson(res, 500, { message: 'Internal error' });
+        case '/invalid':
+          return sendJson(res, 400, { message: 'Bad request' });
+        case '/slow':
+          return setTimeout(() => sendJson(res, 200, { ok: true }), 50);
+        default:
+          return sendJson(res, 404, { message: 'Not found' });
+      }
+    });
+  });
+
+  after(() => server.close());
+
+  const request = (queue, method, path) =>
+    queue.run(() => axios({ method, url: `${server.url}${path}` }), { method });
+  const hits = (method, path) => server.requests.filter(r => r.method === method && r.url === path).length;
+
+  it('waits for Retry-After and retries a rate-limited request', async () => {
+    const queue = new RequestQueue({ concurrency: 2, maxRetries: 3, retryDelay: 10 });
+    const started = Date.now();
+
+    const response = await request(queue, 'get', '/rate-limited');
+
+    assert.equal(response.status, 200);
+    assert.ok(Date.now() - started >= 1000, 'retried before Retry-After elapsed');
+    assert.equal(queue.getStats().rateLimited, 1);
+    assert.equal(queue.getStats().retried, 1);
+  });
+
+  it('retries a POST that was rate limited', async () => {
+    const queue = new RequestQueue({ concurrency: 1, maxRetries: 3, retryDelay: 10 });
+
+    const response = await request(queue, 'post', '/rate-limited');
+
+    assert.equal(response.status, 200);
+    assert.equal(hits('POST', '/rate-limited'), 2);
+  });
+
+  it('retries a GET after a server error', async () => {
+    const queue = new RequestQueue({ concurrency: 1, maxRetries: 3, retryDelay: 10 });
+
+    const response = await request(queue, 'get', '/unavailable');
+
+    assert.equal(response.status, 200);
+    assert.equal(hits('GET', '/unavailable'), 2);
+    assert.equal(queue.getStats().rateLimited, 0);
+  });
+
+  it('does not replay a POST after a server error', async () => {
+    const queue = new RequestQueue({ concurrency: 1, maxRetries: 3, retryDelay: 10 });
+
+    await assert.rejects(request(queue, 'post', '/unavailable'), error => error.response.status === 503);
+    assert.equal(hits('POST', '/unavailable'), 1);
+    assert.equal(queue.getStats().retried, 0);
+    assert.equal(queue.getStats().failed, 1);
+  });
+
+  it('does not replay a POST after a network error', async () => {
+    const queue = new RequestQueue({ concurrency: 1, maxRetries: 3, retryDelay: 10 });
+    let attempts = 0;
+
+    await assert.rejects(queue.run(async () => {
+      attempts++;
+      throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    }, { method: 'post' }), /socket hang up/);
+    assert.equal(attempts, 1);
+  });
+
+  it('gives up after maxRetries', async () => {
+    const queue = new RequestQueue({ concurrency: 1, maxRetries: 2, retryDelay: 10 });
+
+    await assert.rejects(request(queue, 'get', '/broken'), error => error.response.status === 500);
+    assert.equal(hits('GET', '/broken'), 3);
+    assert.equal(queue.getStats().retried, 2);
+    assert.equal(queue.getStats().failed, 1);
+  });
+
+  it('does not retry client errors', async () => {
+    const queue = new RequestQueue({ concurrency: 1, maxRetries: 3, retryDelay: 10 });
+
+    await assert.rejects(request(queue, 'put', '/invalid'), error => error.response.status === 400);
+    assert.equal(hits('PUT', '/invalid'), 1);
+  });
+
+  it('keeps no more than concurrency requests in flight', async () => {
+    const queue = new RequestQueue({ concurrency: 2, maxRetries: 0, retryDelay: 10 });
+    let inFlight = 0;
+    let peak = 0;
+
+    await Promise.all(Array.from({ length: 6 }, () => queue.run(async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      try {
+        return await axios.get(`${server.url}/slow`);
+      } finally {
+        inFlight--;
+      }
+    })));
+
+    assert.equal(peak, 2);
+    assert.equal(queue.getStats().completed, 6);
+    assert.ok(queue.getStats().maxQueueLength >= 4);
+  });
+});
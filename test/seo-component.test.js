@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySEOToComponent } from '../server.js';
+
+const component = `import { Helmet } from 'react-helmet-async';
+
+const siteUrl = process.env.NODE_ENV === 'production' ? 'https://old.example.com' : 'http://localhost:8080';
+const defaultTitle = 'Old title';
+const defaultKeywords = ['ai', 'tools'];
+
+export const SEOMetaTags = ({ title = defaultTitle, image = 'https://old.example.com/og.png' }) => (
+  <Helmet>
+    <title>
+      Old title
+    </title>
+    <meta name="description" content="Old description" />
+    <meta property="og:title" content={title} />
+    <meta property="og:url" content={\`https://old.example.com\${location.pathname}\`} />
+    <a href="https://github.com/someone/old.example.com">source</a>
+  </Helmet>
+);
+`;
+
+describe('applySEOToComponent', () => {
+  it('replaces string literals of each setting', () => {
+    const { text, applied } = applySEOToComponent(component, {}, {
+      title: "Bina's tools",
+      description: 'New "description"',
+      keywords: ['ai', 'בינה'],
+      ogImage: 'https://cdn.example.org/og.png'
+    });
+
+    assert.match(text, /const defaultTitle = 'Bina\\'s tools';/);
+    assert.match(text, /<title>\n {6}Bina's tools\n {4}<\/title>/);
+    assert.match(text, /<meta name="description" content="New \\"description\\"" \/>/);
+    assert.match(text, /const defaultKeywords = \['ai', 'בינה'\];/);
+    assert.match(text, /image = 'https:\/\/cdn\.example\.org\/og\.png'/);
+    assert.match(text, /content=\{title\}/);
+    assert.deepEqual([...applied].sort(), ['description', 'keywords', 'ogImage', 'title']);
+  });
+
+  it('moves URLs on the old domain to the new one and leaves other links alone', () => {
+    const { text, changes } = applySEOToComponent(component, {}, { domain: 'example.org' });
+
+    assert.match(text, /\? 'https:\/\/example\.org' :/);
+    assert.match(text, /'https:\/\/example\.org\/og\.png'/);
+    assert.match(text, /`https:\/\/example\.org\$\{location\.pathname\}`/);
+    assert.match(text, /"https:\/\/github\.com\/someone\/old\.example\.com"/);
+    assert.equal(changes.length, 3);
+  });
+
+  it('reports settings it found no literal for', () => {
+    const source = 'export const SEO = ({ title }) => <meta property="og:title" content={title} />;\n';
+    const { text, changes, applied } = applySEOToComponent(source, {}, { title: 'New', description: 'New' });
+
+    assert.equal(text, source);
+    assert.deepEqual(changes, []);
+    assert.equal(applied.size, 0);
+  });
+
+  it('changes nothing when the settings already match', () => {
+    const { text, changes } = applySEOToComponent(component, { domain: 'old.example.com' }, {
+      domain: 'old.example.com',
+      title: 'Old title'
+    });
+
+    assert.equal(text, component);
+    assert.deepEqual(changes, []);
+  });
+});
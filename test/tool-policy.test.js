@@ -0,0 +1,161 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+// server.js reads its settings when it is loaded, so they are set before importing it
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tool-policy-'));
+Object.assign(process.env, {
+  CONTENT_BACKEND: 'local',
+  LOCAL_STORE_FILE: path.join(dir, 'local-store.json'),
+  AUDIT_LOG_FILE: path.join(dir, 'audit-log.jsonl'),
+  TOOL_POLICY_FILE: path.join(dir, 'tool-policy.json'),
+  GENERATED_FILES_FILE: path.join(dir, 'generated-files.json'),
+  GITHUB_CACHE_FILE: path.join(dir, 'github-repos.json'),
+  GITHUB_USERNAME: 'octo',
+  SITE_DOMAIN: 'example.org'
+});
+const { SiteManagementServer } = await import('../server.js');
+const SITE_ROOT = path.resolve(import.meta.dirname, '../../..');
+
+// GitHub answers with no repositories
+const fetchStub = async () => new Response('[]', { status: 200, headers: { 'content-type': 'application/json' } });
+
+// MCP client connected to a server that runs under the given policy
+async function connect(policy) {
+  await fs.writeJson(process.env.TOOL_POLICY_FILE, policy);
+  const server = new SiteManagementServer({ fetch: fetchStub });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.server.connect(serverTransport);
+  const client = new Client({ name: 'tool-policy-test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+const call = (client, name, args) => client.callTool({ name, arguments: args });
+
+// Modification time of each site file the write tools below would touch, or null
+const siteFiles = ['exports/tools.json', 'public/sitemap.xml', 'public/robots.txt', 'public/structured-data',
+  'src/config/seo.json', 'src/data/github-projects.json', 'site.config.json', 'backups'];
+const snapshot = () => Promise.all(siteFiles.map(file =>
+  fs.stat(path.join(SITE_ROOT, file)).then(stat => stat.mtimeMs, () => null)));
+
+const tool = {
+  name: 'Policy Tool',
+  description: 'A tool the tool policy tests create',
+  category: 'Testing',
+  website: 'http://example.com',
+  pricing: 'free',
+  tags: ['testing'],
+  features: ['policies']
+};
+const term = { term: 'Policy Term', definition: 'A term the tool policy tests create', category: 'Testing' };
+const page = { name: 'Policy Page', slug: 'policy-page', description: 'Tools for testing', icon: 'test', filterBy: 'category', filterValues: ['Testing'] };
+
+// Every tool that writes content or site files, with arguments it would succeed with.
+// restore_content and revert_site_config are left out: they need a backup or config
+// version in the site first, and write through the same checks as promote_content and
+// update_site_config.
+const writeCalls = (ids, importFile) => [
+  ['add_ai_tool', { ...tool, name: 'Denied Tool' }],
+  ['update_ai_tool', { entryId: ids.aiTool, fields: { description: 'Changed by a denied call' } }],
+  ['delete_ai_tool', { entryId: ids.aiTool }],
+  ['add_ai_term', { ...term, term: 'Denied Term' }],
+  ['update_ai_term', { entryId: ids.aiTerm, fields: { definition: 'Changed by a denied call' } }],
+  ['delete_ai_term', { entryId: ids.aiTerm }],
+  ['create_category_page', { ...page, name: 'Denied Page', slug: 'denied-page' }],
+  ['update_category_page', { entryId: ids.categoryPage, fields: { description: 'Changed by a denied call' } }],
+  ['delete_category_page', { entryId: ids.categoryPage }],
+  ['create_entry', { contentTypeId: 'aiTerm', fields: { ...term, term: 'Denied Entry' } }],
+  ['update_entry', { entryId: ids.aiTool, fields: { description: 'Changed by a denied call' } }],
+  ['delete_entry', { entryId: ids.aiTerm }],
+  ['publish_entry', { entryId: ids.categoryPage }],
+  ['unpublish_entry', { entryId: ids.aiTool }],
+  ['archive_entry', { entryId: ids.categoryPage }],
+  ['schedule_publish', { entryId: ids.categoryPage, scheduledAt: new Date(Date.now() + 86400000).toISOString() }],
+  ['update_entry_seo', { entryId: ids.aiTool, metaTitle: 'Denied' }],
+  ['import_content', { file: importFile, contentType: 'tools', format: 'json', dryRun: false }],
+  ['create_content_type', { contentTypeId: 'denied', name: 'Denied', fields: [{ id: 'title', name: 'Title', type: 'Symbol' }], dryRun: false }],
+  ['add_field', { contentTypeId: 'aiTool', field: { id: 'denied', name: 'Denied', type: 'Symbol' }, dryRun: false }],
+  ['add_seo_fields', { contentTypes: ['terms'], dryRun: false }],
+  ['promote_content', { sourceEnvironment: 'master', targetEnvironment: 'staging', dryRun: false }],
+  ['undo_change', { dryRun: false }],
+  ['fix_content', { dryRun: false }],
+  ['backup_content', {}],
+  ['export_content', { file: 'exports/tools.json', contentType: 'tools', format: 'json' }],
+  ['update_seo_config', { title: 'Denied', dryRun: false }],
+  ['generate_sitemap', {}],
+  ['generate_robots_txt', {}],
+  ['generate_structured_data', {}],
+  ['sync_github_projects', {}],
+  ['update_site_config', { config: { siteName: 'Denied' }, dryRun: false }]
+];
+
+describe('tool policy', () => {
+  const ids = {};
+  let importFile;
+
+  before(async () => {
+    // Content to change, written under the default policy; it only touches the local store
+    const client = await connect({});
+    await call(client, 'add_ai_tool', { ...tool, publish: 'publish' });
+    await call(client, 'add_ai_term', { ...term, publish: 'publish' });
+    await call(client, 'create_category_page', page);
+    await call(client, 'add_seo_fields', { contentTypes: ['tools'], dryRun: false });
+    await client.close();
+
+    const { entries } = (await fs.readJson(process.env.LOCAL_STORE_FILE)).environments.master;
+    Object.values(entries).forEach(entry => { ids[entry.sys.contentType.sys.id] = entry.sys.id; });
+    importFile = path.join(dir, 'import.json');
+    await fs.writeJson(importFile, [{ ...tool, name: 'Imported Tool' }]);
+  });
+
+  after(() => fs.remove(dir));
+
+  it('refuses every write when nothing is writable', async () => {
+    const client = await connect({ writablePaths: [], writableContentTypes: [], confirmTools: [] });
+    const store = await fs.readFile(process.env.LOCAL_STORE_FILE, 'utf8');
+    const files = await snapshot();
+
+    // Batch tools (import, promote, undo) report each refused item instead of failing the call
+    const refusal = /The tool policy does not allow writing/;
+    const notRefused = [];
+    for (const [name, args] of writeCalls(ids, importFile)) {
+      await call(client, name, args).then(
+        result => refusal.test(result.content[0].text) || notRefused.push(`${name}: ${result.content[0].text}`),
+        error => refusal.test(error.message) || notRefused.push(`${name}: ${error.message}`)
+      );
+    }
+
+    assert.deepEqual(notRefused, []);
+    assert.equal(await fs.readFile(process.env.LOCAL_STORE_FILE, 'utf8'), store);
+    assert.deepEqual(await snapshot(), files);
+    await client.close();
+  });
+
+  it('refuses content types outside writableContentTypes and allows the others', async () => {
+    const client = await connect({ writableContentTypes: ['aiTerm'] });
+
+    await assert.rejects(call(client, 'add_ai_tool', { ...tool, name: 'Denied Tool' }),
+      /does not allow writing aiTool content \(writable: aiTerm\)/);
+    const result = await call(client, 'add_ai_term', { ...term, term: 'Allowed Term' });
+    assert.match(result.content[0].text, /^✅/);
+    await client.close();
+  });
+
+  it('offers and runs only read-only tools in read-only mode', async () => {
+    const client = await connect({ readOnly: true });
+    const { tools } = await client.listTools();
+    const offered = tools.map(definition => definition.name);
+
+    for (const [name, args] of writeCalls(ids, importFile)) {
+      assert.ok(!offered.includes(name), `${name} is offered in read-only mode`);
+      await assert.rejects(call(client, name, args), /not available in read-only mode/);
+    }
+    assert.ok(offered.includes('list_backups'));
+    await client.close();
+  });
+});